@@ -4,15 +4,52 @@
 */
 
 import {ImageDrawing} from "../image/imagedrawing.js";
+import {Platform} from "../platform/platform.js";
 
 export const AnalyticPerception = (
 
     function (undefined)
     {
+        /**
+         * _read Load a glyph as a Jimp image.
+         * The precomputed raster is used when the glyph has features, instead of decoding the PNG.
+         * @param {String|Object} glyph The URL of the image or {image, features}.
+         * @return {Promise}
+        */
+        
+        const _read = (glyph) => {
+            const Jimp = Platform.Jimp;
+            const raster = typeof glyph == "string" || !glyph.features ? null : glyph.features.raster;
+            let url = typeof glyph == "string" ? glyph : glyph.image;
+            
+            if (!raster) {
+                if (!url.indexOf("data:image/png"))
+                    url = ImageDrawing.base64ToBuffer(url.substr(22));
+                
+                return Jimp.read(url);
+            }
+            
+            return new Promise((resolve, reject) => {
+                new Jimp(raster.width, raster.height, (err, img) => {
+                    if (err)
+                        return reject(err);
+                    
+                    const data = img.bitmap.data;
+                    
+                    raster.data.forEach((value, i) => {
+                        data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = value;
+                        data[i * 4 + 3] = 255;
+                    });
+                    
+                    resolve(img);
+                });
+            });
+        };
+        
         /**
          * _compare Compare two images using a pixel based method.
-         * @param {String} first The URL of the first image.
-         * @param {String} second The URL of the second image.
+         * @param {String|Object} first The URL of the first image or {image, features}.
+         * @param {String|Object} second The URL of the second image or {image, features}.
          * @param {Object} [options = {}]
          * @return {Promise}
         */
@@ -27,14 +64,10 @@ export const AnalyticPerception = (
                 analyticComparisonSize = 128
             } = options;
             
-            if (!first.indexOf("data:image/png"))
-                first = ImageDrawing.base64ToBuffer(first.substr(22));
-            
-            if (!second.indexOf("data:image/png"))
-                second = ImageDrawing.base64ToBuffer(second.substr(22));
-            
             return new Promise((resolve, reject) => {                
-                Promise.all([Jimp.read(first), Jimp.read(second)]).then(res => {
+                const Jimp = Platform.Jimp;
+                
+                Promise.all([_read(first), _read(second)]).then(res => {
                     const img = res[0];
                     const img1 = res[1];
                     
@@ -0,0 +1,176 @@
+/**
+ * @module Confidence Used to turn the similarities of a ranking into calibrated probabilities and to detect the unknown fonts.
+ * The fonts are calibrated on their score, the value the ranking is sorted by: the similarity, or the mix of the glyph and word similarities
+ * of the fonts verified on the words (see Typefont._verifyWords). The word similarities have their own scale, so two fonts are compared
+ * on their scores when both are verified and on their similarities otherwise.
+ * The probability that a font is the one of the image is a logistic model of three features:
+ * - margin: the paired t statistic of the per-glyph similarities of the font against its best competitor
+ *   (the score gap, measured against the per-glyph variance and the number of compared glyphs).
+ * - level: the similarity of the font, (similarity - 85) / 5 (the glyph similarity, on the same scale for every font).
+ * - spread: the standard deviation of the per-glyph similarities of the font / 5.
+ * The default coefficients are fitted on the labeled fixtures of fixtures/calibration (see tools/calibrate.js).
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+export const Confidence = (
+
+    function (undefined)
+    {
+        // The default coefficients of the model.
+        const _model = {
+            bias: -1.39,
+            margin: 0.58,
+            level: 1.56,
+            spread: -0.09
+        };
+        
+        // The margin of the glyphs with identical differences is clamped to this value.
+        const _maxMargin = 10;
+        
+        /**
+         * _statistics Get the mean and the standard deviation of a list of values.
+         * @param {Array} values
+         * @return {Object} {mean, deviation}
+        */
+        
+        const _statistics = (values) => {
+            const mean = values.reduce((sum, value) => sum + value, 0) / (values.length || 1);
+            const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / Math.max(1, values.length - 1);
+            
+            return {mean, deviation: Math.sqrt(variance)};
+        };
+        
+        /**
+         * _gap Get the score gap of a font to another one, the gap of their similarities unless both are verified on the words.
+         * @param {Object} font
+         * @param {Object} other
+         * @return {Number}
+        */
+        
+        const _gap = (font, other) => font.score === undefined || other.score === undefined ? font.similarity - other.similarity : font.score - other.score;
+        
+        /**
+         * _features Compute the features of a font of the ranking against its best competitor.
+         * @param {Object} font The font of the ranking, with its per-glyph breakdown.
+         * @param {Object} [other] The best competitor, missing when the ranking has a single font.
+         * @return {Object} {margin, level, spread}
+        */
+        
+        const _features = (font, other) => {
+            const glyphs = font.glyphs || {};
+            const symbols = Object.keys(glyphs);
+            const shared = other && other.glyphs ? symbols.filter((symbol) => other.glyphs[symbol]) : [];
+            const spread = _statistics(symbols.map((symbol) => glyphs[symbol].similarity)).deviation;
+            let margin = 0;
+            
+            if (shared.length > 1) {
+                // The per-glyph differences are shifted by the part of the score gap that is not made of the glyph similarities (the words).
+                const shift = _gap(font, other) - (font.similarity - other.similarity);
+                const diff = _statistics(shared.map((symbol) => glyphs[symbol].similarity - other.glyphs[symbol].similarity + shift));
+                
+                margin = diff.deviation ? diff.mean / (diff.deviation / Math.sqrt(shared.length)) : Math.sign(diff.mean) * _maxMargin;
+                margin = Math.max(-_maxMargin, Math.min(_maxMargin, margin));
+            }
+            
+            return {
+                margin,
+                level: (font.similarity - 85) / 5,
+                spread: spread / 5
+            };
+        };
+        
+        /**
+         * _probability Apply the model to the features of a font.
+         * @param {Object} features
+         * @param {Object} model
+         * @return {Number} [0, 1]
+        */
+        
+        const _probability = (features, model) => {
+            return 1 / (1 + Math.exp(-(model.bias + model.margin * features.margin + model.level * features.level + model.spread * features.spread)));
+        };
+        
+        /**
+         * _calibrate Set the calibrated confidence and the margin of every font of a sorted ranking and the unknown verdict.
+         * confidence: the probability that the font is the one of the image.
+         * margin: the score gap to the runner-up for the first font, to the first font for the others.
+         * unknown (property of the ranking): the first font is not confident enough, the font of the image is likely not in the database.
+         * @param {Array} ranking
+         * @param {Object} [options = {}]
+         * @return {Array} The ranking.
+        */
+        
+        const _calibrate = (ranking, options = {}) => {
+            const {
+                // The coefficients of the confidence model (see Confidence), the missing ones have their default value.
+                confidenceModel = {},
+                // The unknown font verdict fires when the confidence of the first font is below this threshold.
+                unknownThreshold = 0.55
+            } = options;
+            const model = Object.assign({}, _model, confidenceModel);
+            
+            ranking.forEach((font, i) => {
+                const other = i ? ranking[0] : ranking[1];
+                
+                font.confidence = _probability(_features(font, other), model);
+                font.margin = other ? _gap(font, other) : 0;
+            });
+            
+            ranking.unknown = !ranking.length || ranking[0].confidence < unknownThreshold;
+            
+            return ranking;
+        };
+        
+        /**
+         * _fit Fit the coefficients of the model with a logistic regression (gradient descent, L2 regularized).
+         * @param {Array} samples The features of the first font of labeled rankings and if it is right: [{features, label}].
+         * @param {Object} [options = {}]
+         * @param {Number} [options.iterations = 20000]
+         * @param {Number} [options.rate = 0.05] The learning rate.
+         * @param {Number} [options.regularization = 0.01]
+         * @return {Object} The model.
+        */
+        
+        const _fit = (samples, options = {}) => {
+            const {
+                iterations = 20000,
+                rate = 0.05,
+                regularization = 0.01
+            } = options;
+            const keys = ["margin", "level", "spread"];
+            const model = {bias: 0, margin: 0, level: 0, spread: 0};
+            
+            for (let i = 0; i < iterations && samples.length; ++i)
+            {
+                const gradient = {bias: 0, margin: 0, level: 0, spread: 0};
+                
+                for (const sample of samples)
+                {
+                    const error = _probability(sample.features, model) - (sample.label ? 1 : 0);
+                    
+                    gradient.bias += error;
+                    
+                    for (const key of keys)
+                        gradient[key] += error * sample.features[key];
+                }
+                
+                model.bias -= rate * gradient.bias / samples.length;
+                
+                for (const key of keys)
+                    model[key] -= rate * (gradient[key] / samples.length + regularization * model[key]);
+            }
+            
+            return model;
+        };
+        
+        // Return the public context.
+        return {
+            model: _model,
+            features: (font, other) => _features(font, other),
+            probability: (features, model) => _probability(features, Object.assign({}, _model, model)),
+            calibrate: (ranking, options) => _calibrate(ranking, options),
+            fit: (samples, options) => _fit(samples, options)
+        };
+    }
+
+());
\ No newline at end of file
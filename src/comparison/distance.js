@@ -0,0 +1,208 @@
+/**
+ * @module DistancePerception Used to compare the outlines of two glyphs by their chamfer and Hausdorff distances.
+ * The distances of any two bitmaps of the same size, e.g. two words (see WordPerception), are measured too.
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+import {GlyphFeatures} from "./features.js";
+
+export const DistancePerception = (
+
+    function (undefined)
+    {
+        // The outline and the distance transform of the last bitmaps, the same glyph is compared with many others.
+        const _transforms = new WeakMap();
+        
+        /**
+         * _outline Get the outline of the ink of a bitmap: the ink pixels with a white 4-neighbour or on the border.
+         * @param {Uint8Array} bitmap The bitmap (1 for white).
+         * @param {Number} width
+         * @param {Number} [height = width]
+         * @return {Array} The indexes of the outline pixels.
+        */
+        
+        const _outline = (bitmap, width, height = width) => {
+            const outline = [];
+            
+            for (let y = 0; y < height; ++y)
+                for (let x = 0; x < width; ++x)
+                {
+                    const i = y * width + x;
+                    
+                    if (bitmap[i])
+                        continue;
+                    
+                    if (!x || !y || x == width - 1 || y == height - 1 || bitmap[i - 1] || bitmap[i + 1] || bitmap[i - width] || bitmap[i + width])
+                        outline.push(i);
+                }
+            
+            return outline;
+        };
+        
+        /**
+         * _distanceTransform Compute the distance of every pixel from the nearest outline pixel (3-4 chamfer, in pixels).
+         * @param {Array} outline The indexes of the outline pixels.
+         * @param {Number} width
+         * @param {Number} [height = width]
+         * @return {Float32Array}
+        */
+        
+        const _distanceTransform = (outline, width, height = width) => {
+            const dist = new Float32Array(width * height).fill(Infinity);
+            const relax = (i, j, cost) => {
+                if (dist[j] + cost < dist[i])
+                    dist[i] = dist[j] + cost;
+            };
+            
+            for (const i of outline)
+                dist[i] = 0;
+            
+            // Forward pass.
+            for (let y = 0; y < height; ++y)
+                for (let x = 0; x < width; ++x)
+                {
+                    const i = y * width + x;
+                    
+                    if (x)
+                        relax(i, i - 1, 3);
+                    
+                    if (y) {
+                        relax(i, i - width, 3);
+                        
+                        if (x)
+                            relax(i, i - width - 1, 4);
+                        
+                        if (x < width - 1)
+                            relax(i, i - width + 1, 4);
+                    }
+                }
+            
+            // Backward pass.
+            for (let y = height - 1; y >= 0; --y)
+                for (let x = width - 1; x >= 0; --x)
+                {
+                    const i = y * width + x;
+                    
+                    if (x < width - 1)
+                        relax(i, i + 1, 3);
+                    
+                    if (y < height - 1) {
+                        relax(i, i + width, 3);
+                        
+                        if (x < width - 1)
+                            relax(i, i + width + 1, 4);
+                        
+                        if (x)
+                            relax(i, i + width - 1, 4);
+                    }
+                }
+            
+            return dist.map((value) => value / 3);
+        };
+        
+        /**
+         * _transform Get the outline and the distance transform of a bitmap.
+         * @param {Uint8Array} bitmap
+         * @param {Number} width
+         * @param {Number} [height = width]
+         * @return {Object} {outline, dist}
+        */
+        
+        const _transform = (bitmap, width, height = width) => {
+            if (!_transforms.has(bitmap)) {
+                const outline = _outline(bitmap, width, height);
+                
+                _transforms.set(bitmap, {outline, dist: _distanceTransform(outline, width, height)});
+            }
+            
+            return _transforms.get(bitmap);
+        };
+        
+        /**
+         * _directed Get the distances of the outline of a glyph from the outline of another one.
+         * @param {Object} first The transform of the first glyph.
+         * @param {Object} second The transform of the second glyph.
+         * @return {Object} {mean, max}
+        */
+        
+        const _directed = (first, second) => {
+            let sum = 0;
+            let max = 0;
+            
+            for (const i of first.outline)
+            {
+                sum += second.dist[i];
+                max = Math.max(max, second.dist[i]);
+            }
+            
+            return {mean: sum / first.outline.length, max};
+        };
+        
+        /**
+         * _distance Compute a distance between the outlines of two glyphs and turn it into a similarity percentage.
+         * @param {String|Object} first The URL of the first image or {image, features}.
+         * @param {String|Object} second The URL of the second image or {image, features}.
+         * @param {Function} measure (first: {mean, max}, second: {mean, max}) => Number, the distance in pixels.
+         * @param {Object} [options = {}]
+         * @return {Promise}
+        */
+        
+        const _distance = (first, second, measure, options = {}) => {
+            const {
+                // Used as dimension when resizing the images to the same size.
+                perceptualComparisonSize = 64,
+                // The distance, relative to the comparison size, from which the outlines have no similarity.
+                distanceComparisonRange = 0.25
+            } = options;
+            const size = perceptualComparisonSize;
+            
+            return new Promise((resolve, reject) => {
+                Promise.all([GlyphFeatures.glyphBitmap(first, size), GlyphFeatures.glyphBitmap(second, size)]).then((res) => {
+                    const transform = _transform(res[0], size);
+                    const transform1 = _transform(res[1], size);
+                    
+                    // A glyph without ink is only similar to another one without ink.
+                    if (!transform.outline.length || !transform1.outline.length)
+                        return resolve(transform.outline.length == transform1.outline.length ? 100 : 0);
+                    
+                    const dist = measure(_directed(transform, transform1), _directed(transform1, transform));
+                    
+                    // Return the similarity percentage.
+                    resolve(Math.max(0, 1 - dist / (distanceComparisonRange * size)) * 100);
+                }).catch(reject);
+            });
+        };
+        
+        /**
+         * _measure Measure the distances between the outlines of two bitmaps of the same size.
+         * @param {Uint8Array} first The first bitmap (1 for white).
+         * @param {Uint8Array} second The second bitmap (1 for white).
+         * @param {Number} width
+         * @param {Number} height
+         * @return {Object|null} {chamfer, hausdorff} [px], null if a bitmap has no ink.
+        */
+        
+        const _measure = (first, second, width, height) => {
+            const transform = _transform(first, width, height);
+            const transform1 = _transform(second, width, height);
+            
+            if (!transform.outline.length || !transform1.outline.length)
+                return null;
+            
+            const a = _directed(transform, transform1);
+            const b = _directed(transform1, transform);
+            
+            return {chamfer: (a.mean + b.mean) / 2, hausdorff: Math.max(a.max, b.max)};
+        };
+        
+        // Return the public context.
+        return {
+            // The mean of the distances of the outline pixels, symmetric.
+            chamfer: (first, second, options) => _distance(first, second, (a, b) => (a.mean + b.mean) / 2, options),
+            // The maximum distance of an outline pixel from the other outline.
+            hausdorff: (first, second, options) => _distance(first, second, (a, b) => Math.max(a.max, b.max), options),
+            measure: (first, second, width, height) => _measure(first, second, width, height)
+        };
+    }
+
+());
\ No newline at end of file
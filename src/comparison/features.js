@@ -0,0 +1,408 @@
+/**
+ * @module GlyphFeatures Used to compute, serialize and read the precomputed features of the glyphs.
+ * Established the following JSON structure for a font features file (stored next to the font data file).
+ * {
+ *     "version": 2,
+ *     "size": 64,
+ *     "normalized": true,
+ *     "glyphs": {
+ *         "a": {
+ *             "bitmap": "base64",
+ *             "raster": {"width": 23, "height": 28, "data": "base64"},
+ *             "ratio": 0.82,
+ *             "hash": "hex",
+ *             "moments": {"m00": ..., "cx": ..., "cy": ..., "mu20": ..., ...}
+ *         },
+ *         ...
+ *     }
+ * }
+ * normalized: the features are computed on the normalized glyphs (see Normalization).
+ * bitmap: the binarized glyph at the perceptual comparison size (1 bit per pixel, 1 for white).
+ * raster: the grayscale pixels of the glyph at its original size (omitted if the glyph is not opaque grayscale).
+ * ratio: the width-to-height ratio of the ink of the glyph.
+ * hash: 64 bit average hash of the bitmap.
+ * moments: the central moments of the ink of the bitmap.
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+import {ImageDrawing} from "../image/imagedrawing.js";
+import {Platform} from "../platform/platform.js";
+import {Normalization} from "../image/normalization.js";
+import {PromiseCache} from "../utils/cache.js";
+
+export const GlyphFeatures = (
+
+    function (undefined)
+    {
+        // The version of the features file structure.
+        const _version = 2;
+        
+        // The bitmaps of the last drawn images, the recognized symbols are compared with every font.
+        const _cache = PromiseCache(256);
+        
+        /**
+         * _draw Draw a image at the given size and binarize its pixels (see _bitmap).
+         * @param {String} url The URL of the image.
+         * @param {Number} size
+         * @return {Promise}
+        */
+        
+        const _draw = (url, size) => {
+            return new Promise((resolve, reject) => {
+                const img = new ImageDrawing();
+                
+                img.draw(url, 1, size, size).then(() => {
+                    const data = img.data;
+                    const bitmap = new Uint8Array(size * size);
+                    
+                    for (let i = 0, ll = data.length; i < ll; i += 4)
+                        bitmap[i / 4] = data[i] == 255 ? 1 : 0;
+                    
+                    resolve(bitmap);
+                }).catch(reject);
+            });
+        };
+        
+        /**
+         * _bitmap Draw a image at the given size and get its binarized pixels (1 for white).
+         * @param {String} url The URL of the image.
+         * @param {Number} size
+         * @return {Promise} Resolved with a Uint8Array of size * size values.
+        */
+        
+        const _bitmap = (url, size) => _cache(`${size}:${url}`, () => _draw(url, size));
+        
+        /**
+         * _glyphBitmap Get the bitmap of a glyph at the given size (see _bitmap).
+         * The precomputed bitmap is used when the glyph has features of the same size.
+         * @param {String|Object} glyph The URL of the image or {image, features}.
+         * @param {Number} size
+         * @return {Promise}
+        */
+        
+        const _glyphBitmap = (glyph, size) => {
+            const features = typeof glyph == "string" ? null : glyph.features;
+            
+            if (features && features.size == size)
+                return Promise.resolve(features.bitmap);
+            
+            return _bitmap(typeof glyph == "string" ? glyph : glyph.image, size);
+        };
+        
+        /**
+         * _drawGray Draw a image at the given size and get the luma of its pixels.
+         * @param {String|ImageData} url The URL of the image or its pixels.
+         * @param {Number} size
+         * @return {Promise}
+        */
+        
+        const _drawGray = (url, size) => {
+            return new Promise((resolve, reject) => {
+                const img = new ImageDrawing();
+                
+                img.draw(url, 1, size, size).then(() => resolve(img.luma())).catch(reject);
+            });
+        };
+        
+        /**
+         * _gray Draw a image at the given size and get the luma of its pixels.
+         * @param {String} url The URL of the image.
+         * @param {Number} size
+         * @return {Promise} Resolved with a Float32Array of size * size values in [0, 255].
+        */
+        
+        const _gray = (url, size) => _cache(`gray:${size}:${url}`, () => _drawGray(url, size));
+        
+        /**
+         * _glyphGray Get the luma of a glyph at the given size (see _gray).
+         * The precomputed raster is drawn when the glyph has features, it is the image the features are computed on (the normalized glyph).
+         * @param {String|Object} glyph The URL of the image or {image, features}.
+         * @param {Number} size
+         * @return {Promise}
+        */
+        
+        const _glyphGray = (glyph, size) => {
+            const raster = typeof glyph == "string" || !glyph.features ? null : glyph.features.raster;
+            
+            if (!raster)
+                return _gray(typeof glyph == "string" ? glyph : glyph.image, size);
+            
+            return _cache(`raster:${size}:${glyph.image}`, () => {
+                const data = new Uint8ClampedArray(raster.width * raster.height * 4);
+                
+                raster.data.forEach((value, i) => {
+                    data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = value;
+                    data[i * 4 + 3] = 255;
+                });
+                
+                return _drawGray({width: raster.width, height: raster.height, data}, size);
+            });
+        };
+        
+        /**
+         * _hash Compute the average hash of a bitmap (8x8 blocks, 1 if the block has more ink than the average).
+         * @param {Uint8Array} bitmap
+         * @param {Number} size
+         * @return {String} 16 hexadecimal digits.
+        */
+        
+        const _hash = (bitmap, size) => {
+            const blocks = new Array(64).fill(0);
+            let hash = "";
+            
+            for (let y = 0; y < size; ++y)
+                for (let x = 0; x < size; ++x)
+                    blocks[Math.floor(y * 8 / size) * 8 + Math.floor(x * 8 / size)] += 1 - bitmap[y * size + x];
+            
+            const mean = blocks.reduce((sum, value) => sum + value, 0) / 64;
+            
+            for (let i = 0; i < 64; i += 4)
+                hash += (
+                    (blocks[i] > mean) << 3 |
+                    (blocks[i + 1] > mean) << 2 |
+                    (blocks[i + 2] > mean) << 1 |
+                    (blocks[i + 3] > mean)
+                ).toString(16);
+            
+            return hash;
+        };
+        
+        /**
+         * _moments Compute the central moments (up to the third order) of the ink of a bitmap.
+         * The coordinates are normalized in [0, 1].
+         * @param {Uint8Array} bitmap
+         * @param {Number} size
+         * @return {Object}
+        */
+        
+        const _moments = (bitmap, size) => {
+            const moments = {m00: 0, cx: 0, cy: 0, mu20: 0, mu02: 0, mu11: 0, mu30: 0, mu03: 0, mu21: 0, mu12: 0};
+            
+            for (let i = 0, ll = bitmap.length; i < ll; ++i)
+            {
+                if (bitmap[i])
+                    continue;
+                
+                ++moments.m00;
+                moments.cx += (i % size) / size;
+                moments.cy += Math.floor(i / size) / size;
+            }
+            
+            if (!moments.m00)
+                return moments;
+            
+            moments.cx /= moments.m00;
+            moments.cy /= moments.m00;
+            
+            for (let i = 0, ll = bitmap.length; i < ll; ++i)
+            {
+                if (bitmap[i])
+                    continue;
+                
+                const dx = (i % size) / size - moments.cx;
+                const dy = Math.floor(i / size) / size - moments.cy;
+                
+                moments.mu20 += dx * dx;
+                moments.mu02 += dy * dy;
+                moments.mu11 += dx * dy;
+                moments.mu30 += dx * dx * dx;
+                moments.mu03 += dy * dy * dy;
+                moments.mu21 += dx * dx * dy;
+                moments.mu12 += dx * dy * dy;
+            }
+            
+            return moments;
+        };
+        
+        /**
+         * _raster Read the grayscale pixels of a image at its original size through Jimp.
+         * @param {String} url The base64 data image/png of the glyph.
+         * @return {Promise} Resolved with {width, height, data: Uint8Array} or null if the image is not opaque grayscale.
+        */
+        
+        const _raster = (url) => {
+            return new Promise((resolve, reject) => {
+                Platform.Jimp.read(ImageDrawing.base64ToBuffer(url.substr(url.indexOf(",") + 1))).then((img) => {
+                    const bitmap = img.bitmap;
+                    const data = new Uint8Array(bitmap.width * bitmap.height);
+                    
+                    for (let i = 0, ll = bitmap.data.length; i < ll; i += 4)
+                    {
+                        const pixel = bitmap.data;
+                        
+                        if (pixel[i + 3] != 255 || pixel[i] != pixel[i + 1] || pixel[i] != pixel[i + 2])
+                            return resolve(null);
+                        
+                        data[i / 4] = pixel[i];
+                    }
+                    
+                    resolve({width: bitmap.width, height: bitmap.height, data});
+                }).catch(reject);
+            });
+        };
+        
+        /**
+         * _extract Compute the features of a glyph.
+         * @param {String} url The base64 data image/png of the glyph.
+         * @param {Object} [options = {}]
+         * @return {Promise}
+        */
+        
+        const _extract = (url, options = {}) => {
+            const {
+                // Used as dimension when resizing the images to the same size.
+                perceptualComparisonSize = 64,
+                // Normalize the glyphs before the comparison?
+                glyphNormalization = true
+            } = options;
+            const size = perceptualComparisonSize;
+            const glyph = glyphNormalization ? Normalization(url) : Promise.resolve({image: url, ratio: undefined});
+            
+            return new Promise((resolve, reject) => {
+                glyph.then((res) => Promise.all([_bitmap(res.image, size), _raster(res.image), res])).then((res) => {
+                    resolve({
+                        size,
+                        normalized: glyphNormalization,
+                        bitmap: res[0],
+                        raster: res[1],
+                        ratio: res[2].ratio,
+                        hash: _hash(res[0], size),
+                        moments: _moments(res[0], size)
+                    });
+                }).catch(reject);
+            });
+        };
+        
+        /**
+         * _encodeBytes Serialize bytes to base64.
+         * @param {Uint8Array} bytes
+         * @return {String}
+        */
+        
+        const _encodeBytes = (bytes) => {
+            let binary = "";
+            
+            for (const byte of bytes)
+                binary += String.fromCharCode(byte);
+            
+            return btoa(binary);
+        };
+        
+        /**
+         * _decodeBytes Deserialize bytes from base64.
+         * @param {String} base64
+         * @return {Uint8Array}
+        */
+        
+        const _decodeBytes = (base64) => new Uint8Array(ImageDrawing.base64ToBuffer(base64));
+        
+        /**
+         * _serialize Build the JSON structure of a features file.
+         * @param {Object} glyphs The features of each symbol (see _extract).
+         * @return {Object}
+        */
+        
+        const _serialize = (glyphs) => {
+            const result = {version: _version, size: 0, normalized: false, glyphs: {}};
+            
+            for (const symbol in glyphs)
+            {
+                const features = glyphs[symbol];
+                const bits = new Uint8Array(Math.ceil(features.bitmap.length / 8));
+                
+                features.bitmap.forEach((bit, i) => bits[i >> 3] |= bit << (7 - (i & 7)));
+                result.size = features.size;
+                result.normalized = features.normalized;
+                result.glyphs[symbol] = {
+                    bitmap: _encodeBytes(bits),
+                    raster: features.raster ? {
+                        width: features.raster.width,
+                        height: features.raster.height,
+                        data: _encodeBytes(features.raster.data)
+                    } : undefined,
+                    ratio: features.ratio,
+                    hash: features.hash,
+                    moments: features.moments
+                };
+            }
+            
+            return result;
+        };
+        
+        /**
+         * _deserialize Read the JSON structure of a features file.
+         * @param {Object} content
+         * @return {Object|null} The features of each symbol, null if the structure is not supported.
+        */
+        
+        const _deserialize = (content) => {
+            if (!content || content.version != _version || !content.glyphs)
+                return null;
+            
+            const result = {};
+            
+            for (const symbol in content.glyphs)
+            {
+                const glyph = content.glyphs[symbol];
+                const bits = _decodeBytes(glyph.bitmap);
+                const bitmap = new Uint8Array(content.size * content.size);
+                
+                for (let i = 0, ll = bitmap.length; i < ll; ++i)
+                    bitmap[i] = bits[i >> 3] >> (7 - (i & 7)) & 1;
+                
+                result[symbol] = {
+                    size: content.size,
+                    normalized: content.normalized,
+                    bitmap,
+                    raster: glyph.raster ? {
+                        width: glyph.raster.width,
+                        height: glyph.raster.height,
+                        data: _decodeBytes(glyph.raster.data)
+                    } : null,
+                    ratio: glyph.ratio,
+                    hash: glyph.hash,
+                    moments: glyph.moments
+                };
+            }
+            
+            return result;
+        };
+        
+        /**
+         * _hashDistance Get the number of different bits between two hashes.
+         * @param {String} first
+         * @param {String} second
+         * @return {Number}
+        */
+        
+        const _hashDistance = (first, second) => {
+            let dist = 0;
+            
+            for (let i = 0, ll = first.length; i < ll; ++i)
+            {
+                let bits = parseInt(first[i], 16) ^ parseInt(second[i], 16);
+                
+                for (; bits; bits >>= 1)
+                    dist += bits & 1;
+            }
+            
+            return dist;
+        };
+        
+        // Return the public context.
+        return {
+            version: _version,
+            extract: (url, options) => _extract(url, options),
+            bitmap: (url, size) => _bitmap(url, size),
+            glyphBitmap: (glyph, size) => _glyphBitmap(glyph, size),
+            gray: (url, size) => _gray(url, size),
+            glyphGray: (glyph, size) => _glyphGray(glyph, size),
+            hash: (bitmap, size) => _hash(bitmap, size),
+            moments: (bitmap, size) => _moments(bitmap, size),
+            serialize: (glyphs) => _serialize(glyphs),
+            deserialize: (content) => _deserialize(content),
+            hashDistance: (first, second) => _hashDistance(first, second)
+        };
+    }
+
+());
\ No newline at end of file
@@ -0,0 +1,96 @@
+/**
+ * @module MomentPerception Used to compare two glyphs by their Hu moments, shape descriptors invariant to translation, scale and rotation.
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+import {GlyphFeatures} from "./features.js";
+
+export const MomentPerception = (
+
+    function (undefined)
+    {
+        /**
+         * _moments Get the central moments of a glyph at the given size.
+         * The precomputed moments are used when the glyph has features of the same size.
+         * @param {String|Object} glyph The URL of the image or {image, features}.
+         * @param {Number} size
+         * @return {Promise}
+        */
+        
+        const _moments = (glyph, size) => {
+            const features = typeof glyph == "string" ? null : glyph.features;
+            
+            if (features && features.size == size && features.moments)
+                return Promise.resolve(features.moments);
+            
+            return GlyphFeatures.glyphBitmap(glyph, size).then((bitmap) => GlyphFeatures.moments(bitmap, size));
+        };
+        
+        /**
+         * _hu Compute the magnitudes of the seven Hu moments, in logarithmic scale, from the central moments (see GlyphFeatures.moments).
+         * The signs are dropped, the higher order moments of the glyphs are close to zero and their sign is noise.
+         * @param {Object} moments The central moments, computed on coordinates normalized in [0, 1].
+         * @param {Number} size The size of the bitmap the moments are computed on.
+         * @return {Array}
+        */
+        
+        const _hu = (moments, size) => {
+            // The normalized central moments, scale invariant.
+            const eta = (mu, order) => mu * Math.pow(size, order) / Math.pow(moments.m00, 1 + order / 2);
+            const n20 = eta(moments.mu20, 2);
+            const n02 = eta(moments.mu02, 2);
+            const n11 = eta(moments.mu11, 2);
+            const n30 = eta(moments.mu30, 3);
+            const n03 = eta(moments.mu03, 3);
+            const n21 = eta(moments.mu21, 3);
+            const n12 = eta(moments.mu12, 3);
+            const a = n30 + n12;
+            const b = n21 + n03;
+            
+            return [
+                n20 + n02,
+                Math.pow(n20 - n02, 2) + 4 * n11 * n11,
+                Math.pow(n30 - 3 * n12, 2) + Math.pow(3 * n21 - n03, 2),
+                a * a + b * b,
+                (n30 - 3 * n12) * a * (a * a - 3 * b * b) + (3 * n21 - n03) * b * (3 * a * a - b * b),
+                (n20 - n02) * (a * a - b * b) + 4 * n11 * a * b,
+                (3 * n21 - n03) * a * (a * a - 3 * b * b) - (n30 - 3 * n12) * b * (3 * a * a - b * b)
+            ].map((value) => -Math.log10(Math.max(Math.abs(value), 1e-12)));
+        };
+        
+        /**
+         * _compare Compare two glyphs by the mean difference of their Hu moments in logarithmic scale.
+         * @param {String|Object} first The URL of the first image or {image, features}.
+         * @param {String|Object} second The URL of the second image or {image, features}.
+         * @param {Object} [options = {}]
+         * @return {Promise}
+        */
+        
+        const _compare = (first, second, options = {}) => {
+            const {
+                // Used as dimension when resizing the images to the same size.
+                perceptualComparisonSize = 64
+            } = options;
+            const size = perceptualComparisonSize;
+            
+            return new Promise((resolve, reject) => {
+                Promise.all([_moments(first, size), _moments(second, size)]).then((res) => {
+                    // A glyph without ink is only similar to another one without ink.
+                    if (!res[0].m00 || !res[1].m00)
+                        return resolve(res[0].m00 == res[1].m00 ? 100 : 0);
+                    
+                    const hu = _hu(res[0], size);
+                    const hu1 = _hu(res[1], size);
+                    const dist = hu.reduce((sum, value, i) => sum + Math.abs(value - hu1[i]), 0) / hu.length;
+                    
+                    // Return the similarity percentage.
+                    resolve(100 / (1 + dist));
+                }).catch(reject);
+            });
+        };
+        
+        // Return the public context.
+        return (first, second, options) => _compare(first, second, options);
+    }
+
+());
\ No newline at end of file
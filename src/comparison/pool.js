@@ -0,0 +1,167 @@
+/**
+ * @module ComparisonPool Used to compare the glyphs in a pool of Web Workers (see ComparisonWorker), off the main thread.
+ * The portable metrics (see MetricRegistry) are computed by the workers with a OffscreenCanvas, the other ones on the main thread.
+ * Without Web Workers, OffscreenCanvas or ImageBitmap, or when a worker fails, the glyphs are compared on the main thread:
+ * the results are the same either way.
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+import {MetricRegistry} from "./registry.js";
+import {WorkerPool} from "../utils/workerpool.js";
+
+export const ComparisonPool = (
+
+    function (undefined)
+    {
+        // The started pools by worker URL and size.
+        const _pools = new Map();
+        
+        /**
+         * _supported Check if the environment can compare the glyphs in the workers.
+         * @return {Boolean}
+        */
+        
+        const _supported = () => WorkerPool.supported() && typeof OffscreenCanvas == "function" && typeof createImageBitmap == "function";
+        
+        /**
+         * _settings Keep the options that can be sent to a worker: the numbers, the strings, the booleans and the plain objects.
+         * @param {Object} options
+         * @return {Object}
+        */
+        
+        const _settings = (options) => {
+            const settings = {};
+            
+            for (const key in options)
+            {
+                const value = options[key];
+                
+                if (["number", "string", "boolean"].indexOf(typeof value) != -1 || (value && Object.getPrototypeOf(value) == Object.prototype))
+                    settings[key] = value;
+            }
+            
+            return settings;
+        };
+        
+        /**
+         * _pool Get the pool of the workers, started at the first use.
+         * @param {String} url
+         * @param {Number} size
+         * @param {Array} scripts
+         * @return {Object}
+        */
+        
+        const _pool = (url, size, scripts) => {
+            const key = `${size} ${url}`;
+            
+            if (!_pools.has(key))
+                _pools.set(key, WorkerPool.create(url, size, {scripts}));
+            
+            return _pools.get(key);
+        };
+        
+        /**
+         * _workers Get the pool of the workers enabled by the options, null when the glyphs are compared on the main thread.
+         * @param {Object} [options = {}]
+         * @return {Object|null}
+        */
+        
+        const _workers = (options = {}) => {
+            const {
+                // The number of comparison workers, 0 compares the glyphs on the main thread.
+                comparisonWorkers = 0,
+                // The URL of the worker script.
+                comparisonWorkerUrl = new URL("./worker.js", import.meta.url).href,
+                // The URLs of the classic scripts loaded by the workers, e.g. the Jimp browser build used by the analytic metric.
+                comparisonWorkerScripts = []
+            } = options;
+            
+            return comparisonWorkers && _supported() ? _pool(comparisonWorkerUrl, comparisonWorkers, comparisonWorkerScripts) : null;
+        };
+        
+        /**
+         * _compare Compute every weighted metric that applies to two glyphs (see MetricRegistry.compare), in the workers when enabled.
+         * @param {Object} first The first glyph.
+         * @param {Object} second The second glyph.
+         * @param {Object} [options = {}]
+         * @return {Promise} Resolved with the similarity percentage of each metric by name.
+        */
+        
+        const _compare = (first, second, options = {}) => {
+            const names = MetricRegistry.applicable(first, second, options);
+            const portable = names.filter((name) => MetricRegistry.portable(name));
+            const local = names.filter((name) => !MetricRegistry.portable(name));
+            const workers = portable.length ? _workers(options) : null;
+            
+            if (!workers)
+                return MetricRegistry.compare(first, second, options, names);
+            
+            const message = {first, second, options: _settings(options), names: portable};
+            
+            return Promise.all([
+                workers.run(message).catch(() => MetricRegistry.compare(first, second, options, portable)),
+                MetricRegistry.compare(first, second, options, local)
+            ]).then((res) => {
+                const result = {};
+                
+                // The metrics are kept in the order of the registry.
+                for (const name of names)
+                    result[name] = name in res[0] ? res[0][name] : res[1][name];
+                
+                return result;
+            });
+        };
+        
+        /**
+         * _verify Compare pairs of glyphs both in the workers and on the main thread, used to check that the two paths agree.
+         * Unlike the comparisons, a worker failure is not hidden by the main thread: it rejects the verification.
+         * @param {Array} pairs The pairs of glyphs: [[first, second], ...].
+         * @param {Object} [options = {}] The comparison options, with the workers enabled (see comparisonWorkers).
+         * @return {Promise} Resolved with the largest difference between the two paths of each portable metric by name.
+        */
+        
+        const _verify = (pairs, options = {}) => {
+            const workers = _workers(options);
+            
+            if (!workers)
+                return Promise.reject("The comparison workers are not enabled or not supported");
+            
+            return Promise.all(pairs.map((pair) => {
+                const names = MetricRegistry.applicable(pair[0], pair[1], options).filter((name) => MetricRegistry.portable(name));
+                
+                return Promise.all([
+                    workers.run({first: pair[0], second: pair[1], options: _settings(options), names}),
+                    MetricRegistry.compare(pair[0], pair[1], options, names)
+                ]);
+            })).then((res) => {
+                const difference = {};
+                
+                for (const [worker, main] of res)
+                    for (const name in main)
+                        difference[name] = Math.max(difference[name] || 0, Math.abs(worker[name] - main[name]));
+                
+                return difference;
+            });
+        };
+        
+        /**
+         * _terminate Stop every worker, the next comparisons start new ones.
+        */
+        
+        const _terminate = () => {
+            for (const pool of _pools.values())
+                pool.terminate();
+            
+            _pools.clear();
+        };
+        
+        // Return the public context.
+        return {
+            supported: () => _supported(),
+            compare: (first, second, options) => _compare(first, second, options),
+            verify: (pairs, options) => _verify(pairs, options),
+            terminate: () => _terminate()
+        };
+    }
+
+());
\ No newline at end of file
@@ -0,0 +1,30 @@
+/**
+ * @module RatioPerception Used to compare the proportions of two glyphs.
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+export const RatioPerception = (
+
+    function (undefined)
+    {
+        /**
+         * _compare Compare the width-to-height ratios of the ink of two glyphs.
+         * It tells condensed faces from regular and extended ones.
+         * @param {Object} first The first glyph {image, ratio}.
+         * @param {Object} second The second glyph {image, ratio}.
+         * @return {Promise}
+        */
+        
+        const _compare = (first, second) => {
+            const min = Math.min(first.ratio, second.ratio);
+            const max = Math.max(first.ratio, second.ratio);
+            
+            // Return the similarity percentage.
+            return Promise.resolve(max ? min / max * 100 : 100);
+        };
+        
+        // Return the public context.
+        return (first, second, options) => _compare(first, second, options);
+    }
+
+());
\ No newline at end of file
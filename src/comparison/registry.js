@@ -0,0 +1,163 @@
+/**
+ * @module MetricRegistry Used to register the similarity metrics and to combine their scores by weight.
+ * A metric is a function (first, second, options) => Promise resolved with a similarity percentage, where first and second
+ * are the compared glyphs {image, features, ratio} (see Typefont._normalizeGlyph).
+ * The weights of the metrics are given by the metricWeights option, e.g. {"analytic": 1, "shape": 2, "ssim": 1},
+ * a metric weighted 0 is not computed.
+ * The metrics registered by this module are portable: the comparison workers have them too (see ComparisonPool).
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+import {AnalyticPerception} from "./analytic.js";
+import {ShapePerception} from "./shape.js";
+import {RatioPerception} from "./ratio.js";
+import {StructuralPerception} from "./structural.js";
+import {DistancePerception} from "./distance.js";
+import {MomentPerception} from "./moments.js";
+
+export const MetricRegistry = (
+
+    function (undefined)
+    {
+        // The registered metrics by name.
+        const _metrics = new Map();
+        
+        // The names of the portable metrics, set after the default ones are defined.
+        let _portable = new Set();
+        
+        /**
+         * _define Set a metric, replacing the one with the same name.
+         * @param {String} name
+         * @param {Function} compare (first, second, options) => Promise
+         * @param {Object} [options = {}]
+         * @param {Number} [options.weight = 1] The default weight.
+         * @param {Function} [options.available] (first, second) => Boolean, tells if the metric applies to two glyphs.
+        */
+        
+        const _define = (name, compare, options = {}) => {
+            const {
+                weight = 1,
+                available = () => true
+            } = options;
+            
+            _metrics.set(name, {compare, weight, available});
+        };
+        
+        /**
+         * _register Register a metric, replacing the one with the same name (see _define).
+         * The registered metrics are not portable, they are always computed on the thread registering them.
+         * @param {String} name
+         * @param {Function} compare
+         * @param {Object} [options = {}]
+        */
+        
+        const _register = (name, compare, options = {}) => {
+            _portable.delete(name);
+            _define(name, compare, options);
+        };
+        
+        /**
+         * _weights Get the weight of every registered metric.
+         * @param {Object} [options = {}]
+         * @return {Object}
+        */
+        
+        const _weights = (options = {}) => {
+            const {
+                // The weight of each metric by name, the missing ones have their default weight.
+                metricWeights = {}
+            } = options;
+            const weights = {};
+            
+            for (const name in metricWeights)
+                if (!_metrics.has(name))
+                    throw `Unknown metric ${name}`;
+            
+            for (const [name, metric] of _metrics)
+                weights[name] = metricWeights[name] !== undefined ? metricWeights[name] : metric.weight;
+            
+            return weights;
+        };
+        
+        /**
+         * _applicable Get the names of the weighted metrics that apply to two glyphs.
+         * @param {Object} first The first glyph.
+         * @param {Object} second The second glyph.
+         * @param {Object} [options = {}]
+         * @return {Array}
+        */
+        
+        const _applicable = (first, second, options = {}) => {
+            const weights = _weights(options);
+            
+            return [..._metrics.keys()].filter((name) => weights[name] > 0 && _metrics.get(name).available(first, second));
+        };
+        
+        /**
+         * _compare Compute every weighted metric that applies to two glyphs, or only the given ones.
+         * @param {Object} first The first glyph.
+         * @param {Object} second The second glyph.
+         * @param {Object} [options = {}]
+         * @param {Array} [names] The names of the metrics to compute (see _applicable).
+         * @return {Promise} Resolved with the similarity percentage of each metric by name.
+        */
+        
+        const _compare = (first, second, options = {}, names = undefined) => {
+            return new Promise((resolve, reject) => {
+                names = names || _applicable(first, second, options);
+                
+                Promise.all(names.map((name) => _metrics.get(name).compare(first, second, options))).then((res) => {
+                    const result = {};
+                    
+                    names.forEach((name, i) => result[name] = res[i]);
+                    resolve(result);
+                }).catch(reject);
+            });
+        };
+        
+        /**
+         * _score Get the weighted mean of the metrics of a comparison result.
+         * @param {Object} res The similarity percentage of each metric by name, the other keys are ignored.
+         * @param {Object} [options = {}]
+         * @return {Number}
+        */
+        
+        const _score = (res, options = {}) => {
+            const weights = _weights(options);
+            let sum = 0;
+            let weight = 0;
+            
+            for (const name in res)
+            {
+                if (!weights[name])
+                    continue;
+                
+                sum += res[name] * weights[name];
+                weight += weights[name];
+            }
+            
+            return weight ? sum / weight : 0;
+        };
+        
+        _define("analytic", AnalyticPerception);
+        _define("shape", ShapePerception);
+        _define("ratio", RatioPerception, {available: (first, second) => first.ratio !== undefined && second.ratio !== undefined});
+        _define("ssim", StructuralPerception, {weight: 0});
+        _define("chamfer", DistancePerception.chamfer, {weight: 0});
+        _define("hausdorff", DistancePerception.hausdorff, {weight: 0});
+        _define("hu", MomentPerception, {weight: 0});
+        _portable = new Set(_metrics.keys());
+        
+        // Return the public context.
+        return {
+            register: (name, compare, options) => _register(name, compare, options),
+            names: () => [..._metrics.keys()],
+            weights: (options) => _weights(options),
+            applicable: (first, second, options) => _applicable(first, second, options),
+            portable: (name) => _portable.has(name),
+            compare: (first, second, options, names) => _compare(first, second, options, names),
+            score: (res, options) => _score(res, options)
+        };
+    }
+
+());
\ No newline at end of file
@@ -0,0 +1,107 @@
+/**
+ * @module StructuralPerception Used to compare two images by their structural similarity (SSIM).
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+import {GlyphFeatures} from "./features.js";
+
+export const StructuralPerception = (
+
+    function (undefined)
+    {
+        // The stabilization constants of the SSIM for 8 bit values.
+        const _c1 = Math.pow(0.01 * 255, 2);
+        const _c2 = Math.pow(0.03 * 255, 2);
+        
+        /**
+         * _window Compute the SSIM of a square window of two images.
+         * @param {Float32Array} first The luma of the first image.
+         * @param {Float32Array} second The luma of the second image.
+         * @param {Number} size The side of the images.
+         * @param {Number} x0 The left of the window.
+         * @param {Number} y0 The top of the window.
+         * @param {Number} side The side of the window.
+         * @return {Number}
+        */
+        
+        const _window = (first, second, size, x0, y0, side) => {
+            const count = side * side;
+            let mean = 0;
+            let mean1 = 0;
+            let variance = 0;
+            let variance1 = 0;
+            let covariance = 0;
+            
+            for (let y = y0; y < y0 + side; ++y)
+                for (let x = x0; x < x0 + side; ++x)
+                {
+                    mean += first[y * size + x];
+                    mean1 += second[y * size + x];
+                }
+            
+            mean /= count;
+            mean1 /= count;
+            
+            for (let y = y0; y < y0 + side; ++y)
+                for (let x = x0; x < x0 + side; ++x)
+                {
+                    const dx = first[y * size + x] - mean;
+                    const dx1 = second[y * size + x] - mean1;
+                    
+                    variance += dx * dx;
+                    variance1 += dx1 * dx1;
+                    covariance += dx * dx1;
+                }
+            
+            variance /= count - 1;
+            variance1 /= count - 1;
+            covariance /= count - 1;
+            
+            return (2 * mean * mean1 + _c1) * (2 * covariance + _c2) / ((mean * mean + mean1 * mean1 + _c1) * (variance + variance1 + _c2));
+        };
+        
+        /**
+         * _compare Compare two images using the mean SSIM of their overlapping windows.
+         * @param {String|Object} first The URL of the first image or {image, features}.
+         * @param {String|Object} second The URL of the second image or {image, features}.
+         * @param {Object} [options = {}]
+         * @return {Promise}
+        */
+        
+        const _compare = (first, second, options = {}) => {
+            const {
+                // Used as dimension when resizing the images to the same size.
+                perceptualComparisonSize = 64,
+                // The side of the SSIM windows [px], they overlap by half.
+                structuralComparisonWindow = 8
+            } = options;
+            const size = perceptualComparisonSize;
+            const side = Math.max(2, Math.min(structuralComparisonWindow, size));
+            const step = Math.max(1, side >> 1);
+            
+            return new Promise((resolve, reject) => {
+                Promise.all([
+                    GlyphFeatures.glyphGray(first, size),
+                    GlyphFeatures.glyphGray(second, size)
+                ]).then((res) => {
+                    let ssim = 0;
+                    let count = 0;
+                    
+                    for (let y = 0; y + side <= size; y += step)
+                        for (let x = 0; x + side <= size; x += step)
+                        {
+                            ssim += _window(res[0], res[1], size, x, y, side);
+                            ++count;
+                        }
+                    
+                    // Return the similarity percentage, the negative correlations count as no similarity.
+                    resolve(Math.max(0, ssim / count) * 100);
+                }).catch(reject);
+            });
+        };
+        
+        // Return the public context.
+        return (first, second, options) => _compare(first, second, options);
+    }
+
+());
\ No newline at end of file
@@ -0,0 +1,89 @@
+/**
+ * @module WordPerception Used to compare the image of a word with its rendering in a font (see WordRendering).
+ * Both are trimmed to their ink, scaled to the same height and aligned on the left: unlike the single glyphs, the width of the word,
+ * the spacing of its letters and the relations of their heights count. The similarity is the one of the chamfer distance of the outlines
+ * (see DistancePerception).
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+import {Platform} from "../platform/platform.js";
+import {ImageDrawing} from "../image/imagedrawing.js";
+import {DistancePerception} from "./distance.js";
+
+export const WordPerception = (
+
+    function (undefined)
+    {
+        /**
+         * _trim Load the image of a word and trim it to its ink.
+         * @param {String} url
+         * @return {Promise} Resolved with the canvas of the ink, null if the image has no ink.
+        */
+        
+        const _trim = (url) => {
+            const img = new ImageDrawing();
+            
+            return img.draw(url).then(() => img.trim().width ? img.canvas : null);
+        };
+        
+        /**
+         * _bitmap Scale the ink of a word to a height and draw it on the left of a bitmap.
+         * @param {Canvas} canvas The ink of the word.
+         * @param {Number} width The width of the bitmap.
+         * @param {Number} height The height of the bitmap and of the word.
+         * @return {Uint8Array} The bitmap (1 for white).
+        */
+        
+        const _bitmap = (canvas, width, height) => {
+            const fragment = Platform.createCanvas(width, height);
+            const context = fragment.getContext("2d");
+            const bitmap = new Uint8Array(width * height);
+            
+            context.fillStyle = "#fff";
+            context.fillRect(0, 0, width, height);
+            context.drawImage(canvas, 0, 0, canvas.width * height / canvas.height, height);
+            
+            const data = context.getImageData(0, 0, width, height).data;
+            
+            for (let i = 0, ll = data.length; i < ll; i += 4)
+                bitmap[i / 4] = data[i] * 0.2126 + data[i + 1] * 0.7152 + data[i + 2] * 0.0722 >= 128 ? 1 : 0;
+            
+            return bitmap;
+        };
+        
+        /**
+         * _compare Compare two images of a word.
+         * @param {String} first The URL of the first image.
+         * @param {String} second The URL of the second image.
+         * @param {Object} [options = {}]
+         * @return {Promise} Resolved with the similarity percentage.
+        */
+        
+        const _compare = (first, second, options = {}) => {
+            const {
+                // The height the words are scaled to before the comparison [px].
+                wordComparisonHeight = 32,
+                // The distance, relative to the comparison height, from which the words have no similarity.
+                wordComparisonRange = 0.25
+            } = options;
+            const height = wordComparisonHeight;
+            
+            return Promise.all([_trim(first), _trim(second)]).then((res) => {
+                // A word without ink is not similar to anything.
+                if (!res[0] || !res[1])
+                    return 0;
+                
+                const width = Math.max(...res.map((canvas) => Math.max(1, Math.round(canvas.width * height / canvas.height))));
+                const distance = DistancePerception.measure(_bitmap(res[0], width, height), _bitmap(res[1], width, height), width, height);
+                
+                return distance ? Math.max(0, 1 - distance.chamfer / (wordComparisonRange * height)) * 100 : 0;
+            });
+        };
+        
+        // Return the public context.
+        return {
+            compare: (first, second, options) => _compare(first, second, options)
+        };
+    }
+
+());
\ No newline at end of file
@@ -0,0 +1,49 @@
+/**
+ * @module ComparisonWorker The script of the comparison workers (see ComparisonPool), a classic worker script.
+ * The first message, {scripts}, loads the libraries of the global scope (e.g. the Jimp browser build) with importScripts.
+ * The next ones are the comparisons, {id, first, second, options, names}, answered with {id, result} or {id, error} (see MetricRegistry).
+ * The canvas is a OffscreenCanvas and the images are decoded as ImageBitmap.
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+let _modules = null;
+
+/**
+ * _prepare Load the libraries and the modules of the comparison, the modules are resolved against the URL of this script.
+ * @param {Array} [scripts = []] The URLs of the classic scripts to load.
+ * @return {Promise} Resolved with the MetricRegistry.
+*/
+
+const _prepare = (scripts = []) => {
+    importScripts(...scripts);
+    
+    return Promise.all([import("../platform/platform.js"), import("./registry.js")]).then((modules) => {
+        modules[0].Platform.use({
+            createCanvas: (width = 0, height = 0) => new OffscreenCanvas(width, height),
+            loadImage: (src) => {
+                return fetch(src)
+                    .then((res) => res.blob())
+                    .then((blob) => createImageBitmap(blob))
+                    .catch(() => Promise.reject(`Unable to load ${src}`));
+            }
+        });
+        
+        return modules[1].MetricRegistry;
+    });
+};
+
+self.onmessage = (e) => {
+    const message = e.data;
+    
+    if (!_modules) {
+        _modules = _prepare(message.scripts);
+        
+        if (message.id === undefined)
+            return;
+    }
+    
+    _modules
+        .then((registry) => registry.compare(message.first, message.second, message.options, message.names))
+        .then((result) => self.postMessage({id: message.id, result}))
+        .catch((err) => self.postMessage({id: message.id, error: String(err)}));
+};
\ No newline at end of file
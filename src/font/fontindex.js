@@ -0,0 +1,162 @@
+/**
+ * @module FontIndex Used to read the entries of the fonts index and to filter them before any font is requested.
+ * An entry of the index is the name of a font or an object describing it:
+ * {"name": "Lora", "classification": "serif", "license": "OFL-1.1", "foundry": "Cyreal", "tags": ["calligraphic"], "scripts": ["Cyrillic", "Latin"]}
+ * The classification is one of serif, sans, mono, display and script, the license is a SPDX identifier when known,
+ * the scripts are the ones covered by the glyphs of the font (see Charsets).
+ * The version of the index is a hash of the data and features files of its fonts, the files cached with another version are fetched again (see FontStorage).
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+export const FontIndex = (
+
+    function (undefined)
+    {
+        // The classifications of the fonts.
+        const _classifications = ["serif", "sans", "mono", "display", "script"];
+        
+        // The SPDX identifiers of the common font licenses, recognized by their name or URL.
+        const _licenses = [
+            ["OFL-1.1", /\bOFL\b|open font licen[cs]e|scripts\.sil\.org/i],
+            ["Apache-2.0", /apache/i],
+            ["UFL-1.0", /ubuntu font licen[cs]e|font\.ubuntu\.com\/ufl/i],
+            ["MIT", /\bMIT\b/],
+            ["GPL-3.0", /\bGPL\b|gnu general public/i]
+        ];
+        
+        // The fields of an entry used by the filters and the facets.
+        const _fields = ["classification", "license", "foundry", "tags", "scripts"];
+        
+        // The fields holding a list of values, an entry must have all the wanted ones.
+        const _lists = ["tags", "scripts"];
+        
+        /**
+         * _license Get the SPDX identifier of a license from its name or URL.
+         * @param {String} [license]
+         * @return {String|undefined} The identifier, the license itself if unknown.
+        */
+        
+        const _license = (license) => {
+            if (!license)
+                return undefined;
+            
+            const known = _licenses.find((entry) => entry[1].test(license));
+            
+            return known ? known[0] : license;
+        };
+        
+        /**
+         * _entry Read an entry of the index.
+         * @param {String|Object} entry
+         * @return {Object} {name, classification, license, foundry, tags, scripts}, scripts is undefined when unknown.
+        */
+        
+        const _entry = (entry) => {
+            if (typeof entry == "string")
+                entry = {name: entry};
+            
+            return Object.assign({}, entry, {
+                license: _license(entry.license),
+                tags: entry.tags || []
+            });
+        };
+        
+        /**
+         * _matches Check if a value of an entry matches the wanted values, ignoring the case.
+         * A license identifier also matches its versions, e.g. "OFL" matches "OFL-1.1".
+         * @param {String} [value]
+         * @param {String|Array} wanted
+         * @return {Boolean}
+        */
+        
+        const _matches = (value, wanted) => {
+            if (value === undefined)
+                return false;
+            
+            value = String(value).toLowerCase();
+            
+            return [].concat(wanted).some((option) => {
+                option = String(option).toLowerCase();
+                
+                return value == option || value.indexOf(`${option}-`) == 0;
+            });
+        };
+        
+        /**
+         * _filter Keep the entries matching a filter.
+         * The filter is a function of the entry or an object with the wanted values of the fields, e.g.
+         * {license: "OFL", classification: ["sans", "serif"], tags: ["geometric"], scripts: ["Cyrillic"]}
+         * A field matches one of its wanted values, an entry must have all the wanted tags and scripts.
+         * @param {Array} entries
+         * @param {Function|Object} [filter]
+         * @return {Array}
+        */
+        
+        const _filter = (entries, filter) => {
+            if (!filter)
+                return entries;
+            
+            if (typeof filter == "function")
+                return entries.filter(filter);
+            
+            for (const key in filter)
+                if (key != "name" && _fields.indexOf(key) == -1)
+                    throw `Unknown font filter ${key}`;
+            
+            return entries.filter((entry) => Object.keys(filter).every((key) => {
+                if (_lists.indexOf(key) != -1)
+                    return [].concat(filter[key]).every((wanted) => (entry[key] || []).some((value) => _matches(value, wanted)));
+                
+                return _matches(entry[key], filter[key]);
+            }));
+        };
+        
+        /**
+         * _facets Count the entries by each value of their fields.
+         * @param {Array} entries
+         * @return {Object} e.g. {classification: {sans: 4, serif: 2}, license: {...}, foundry: {...}, tags: {...}, scripts: {...}}
+        */
+        
+        const _facets = (entries) => {
+            const facets = {};
+            
+            for (const field of _fields)
+            {
+                facets[field] = {};
+                
+                for (const entry of entries)
+                    for (const value of [].concat(entry[field] === undefined ? [] : entry[field]))
+                        facets[field][value] = (facets[field][value] || 0) + 1;
+            }
+            
+            return facets;
+        };
+        
+        /**
+         * _version Get the version of a database from the content of its files (32-bit FNV-1a hash).
+         * @param {Array} contents The content of the data and features files of the fonts, in the order of the index.
+         * @return {String}
+        */
+        
+        const _version = (contents) => {
+            let hash = 2166136261;
+            
+            for (const content of contents)
+                for (let i = 0, ll = content.length; i < ll; ++i)
+                    hash = Math.imul(hash ^ content.charCodeAt(i), 16777619) >>> 0;
+            
+            return hash.toString(16).padStart(8, "0");
+        };
+        
+        // Return the public context.
+        return {
+            classifications: _classifications,
+            license: (license) => _license(license),
+            entry: (entry) => _entry(entry),
+            filter: (entries, filter) => _filter(entries, filter),
+            facets: (entries) => _facets(entries),
+            version: (contents) => _version(contents)
+        };
+    }
+
+());
\ No newline at end of file
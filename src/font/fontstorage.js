@@ -3,53 +3,153 @@
  * @author Vasile Pește <sirvasile@protonmail.ch>
 */
 
+import {Platform} from "../platform/platform.js";
+import {GlyphFeatures} from "../comparison/features.js";
+import {FontIndex} from "./fontindex.js";
+import {Charsets} from "../recognition/charsets.js";
+import {Abort} from "../utils/abort.js";
+import {PromiseCache} from "../utils/cache.js";
+import {IndexedStore} from "../utils/store.js";
+
 export const FontStorage = (
 
     function (undefined)
     {
+        // The style of a variant when not given (CSS font-weight, font-style and font-stretch).
+        const _style = {
+            weight: 400,
+            style: "normal",
+            stretch: "normal"
+        };
+        
+        // The HTTP statuses of the missing files.
+        const _missing = [404, 410];
+        
+        // The HTTP statuses worth a retry, the other errors are final.
+        const _transient = [408, 425, 429, 500, 502, 503, 504];
+        
+        // The name of the IndexedDB database of the fetched files.
+        const _database = "typefont-fonts";
+        
+        // The fetched files of this session, the missing ones are requested again (e.g. the features file of a font built later).
+        const _found = (result) => result.exists;
+        let _memory = PromiseCache(128, _found);
+        
         /**
-         * _fetch Retrieve and deserialize a JSON structure stored in a file.
+         * _fetch Retrieve and deserialize a JSON structure stored in a file (through the Platform adapter).
+         * The network errors, the timeouts and the transient HTTP statuses are retried with an exponential backoff.
          * @param {String} url The URL of the file to fetch.
          * @param {Object} [options = {}]
-         * @return {Promise}
+         * @return {Promise} Resolved with {exists, content}, exists is false for a missing file.
         */
         
         const _fetch = (url, options = {}) => {
             const {
                 // Used as request timeout [ms].
-                fontRequestTimeout = 2000
+                fontRequestTimeout = 2000,
+                // The number of retries of a failed request.
+                fontRequestRetries = 2,
+                // The delay before the first retry, doubled at each retry [ms].
+                fontRequestBackoff = 200,
+                // Used to abort the request.
+                signal
             } = options;
             
             return new Promise((resolve, reject) => {
-                const xhr = new XMLHttpRequest();
-                
-                xhr.open("GET", url);
-                xhr.timeout = fontRequestTimeout;
-                xhr.onload = (e) => {
-                    const result = {};
+                const retry = (attempt, err) => {
+                    if ((signal && signal.aborted) || attempt >= fontRequestRetries)
+                        return reject(signal && signal.aborted ? Abort.reason : err);
                     
-                    result.exists = e.target.status != 404;
+                    setTimeout(() => request(attempt + 1), fontRequestBackoff * Math.pow(2, attempt));
+                };
+                const request = (attempt) => {
+                    if (signal && signal.aborted)
+                        return reject(Abort.reason);
                     
-                    if (result.exists) {
+                    Platform.request(url, {timeout: fontRequestTimeout, signal}).then((res) => {
+                        const error = `Unable to open ${url}: HTTP ${res.status}`;
+                        
+                        if (_missing.indexOf(res.status) != -1)
+                            return resolve({exists: false});
+                        
+                        if (_transient.indexOf(res.status) != -1)
+                            return retry(attempt, error);
+                        
+                        // The status 0 is given by the file: URLs.
+                        if ((res.status < 200 || res.status >= 300) && (res.status || !res.text))
+                            return reject(error);
+                        
                         try {
-                            result.content = JSON.parse(e.target.responseText);
+                            resolve({exists: true, content: JSON.parse(res.text)});
                         }
                         catch (ex) {
                             reject(`Unable to parse ${url} content`);
                         }
-                    }
-                    
-                    resolve(result);
+                    }).catch((err) => retry(attempt, err));
                 };
-                xhr.onerror = xhr.onabort = () => reject(`Unable to open ${url}`);
-                xhr.send();
+                
+                request(0);
             });
         };
         
+        /**
+         * _cachedFetch Retrieve a file through the caches: the memory one of the session and the IndexedDB one across the sessions.
+         * The cached files are shared by the queries, so a request is not stopped by the signal of a single query, the query just stops waiting for it.
+         * The files cached with another fontCacheVersion or version of the database are fetched again, the missing files are not cached.
+         * @param {String} url The URL of the file to fetch.
+         * @param {Object} [options = {}]
+         * @return {Promise} Resolved with {exists, content}.
+        */
+        
+        const _cachedFetch = (url, options = {}) => {
+            const {
+                // Keep the fetched font files in memory and in IndexedDB?
+                fontCache = true,
+                // The version of the cached files, change it to invalidate them (e.g. after updating the database).
+                fontCacheVersion = 1,
+                // The version of the database, read from the fonts index (see FontIndex).
+                fontsVersion,
+                // Used to abort the request.
+                signal
+            } = options;
+            const settings = Object.assign({}, options, {signal: undefined});
+            const version = fontsVersion === undefined ? fontCacheVersion : `${fontCacheVersion}:${fontsVersion}`;
+            
+            if (!fontCache)
+                return _fetch(url, options);
+            
+            return Abort.guard(_memory(`${version}:${url}`, () => {
+                return IndexedStore.get(_database, url).then((record) => {
+                    // The missing files stored by the older versions are fetched again.
+                    if (record && record.version === version && _found(record.result))
+                        return record.result;
+                    
+                    return _fetch(url, settings).then((result) => {
+                        if (_found(result))
+                            IndexedStore.set(_database, url, {version, result});
+                        
+                        return result;
+                    });
+                });
+            }), signal);
+        };
+        
+        /**
+         * _clearCache Drop the cached font files, in memory and in IndexedDB.
+         * @return {Promise}
+        */
+        
+        const _clearCache = () => {
+            _memory = PromiseCache(128, _found);
+            
+            return IndexedStore.clear(_database);
+        };
+        
         /**
          * _prepareFontsIndex Request a file containing the index of the fonts.
          * Established the following JSON structure for a fonts index file.
          * {
+         *     "version": "...",
          *     "index": [
          *         "font-name",
          *         "font-name-1",
@@ -57,9 +157,12 @@ export const FontStorage = (
          *         ...
          *     ]
          * }
+         * An entry can also describe the font, to filter the index before requesting the fonts (see FontIndex).
+         * {"name": "font-name", "classification": "sans", "license": "OFL-1.1", "foundry": "...", "tags": ["..."]}
+         * The optional version invalidates the font files cached from another version of the database (see FontIndex).
          * @param {String} url The URL of the fonts index JSON file.
          * @param {Object} [options = {}]
-         * @return {Promise}
+         * @return {Promise} Resolved with the index: the names of the fonts and their entries.
         */
         
         const _prepareFontsIndex = (url, options = {}) => {
@@ -67,17 +170,99 @@ export const FontStorage = (
                 _fetch(url, options).then((res) => {
                     const content = res.content;
                     
-                    if (Array.isArray(content.index))
+                    if (!res.exists)
+                        return reject(`Unable to find the fonts index ${url}`);
+                    
+                    if (Array.isArray(content.index) && content.index.every((entry) => typeof entry == "string" || (entry && entry.name))) {
+                        content.entries = content.index.map(FontIndex.entry);
+                        content.index = content.entries.map((entry) => entry.name);
                         resolve(content);
+                    }
                     else
                         reject(`The JSON structure of ${url} does not meet the established format for the fonts index`);
                 }).catch(reject);
             });
         };
         
+        /**
+         * _prepareFeatures Request the features file stored next to a font data file.
+         * The features are optional: a missing or invalid file resolves with null.
+         * The features of a font with variants are stored in the same order of the variants: {"variants": [{...}, ...]}.
+         * @param {String} url The URL of the font data file.
+         * @param {Object} [options = {}]
+         * @return {Promise} Resolved with the features of each variant.
+        */
+        
+        const _prepareFeatures = (url, options = {}) => {
+            const {
+                // The name of the file containing the precomputed features of a font (false to ignore them).
+                fontsFeatures = "features.json"
+            } = options;
+            
+            if (!fontsFeatures)
+                return Promise.resolve(null);
+            
+            return _cachedFetch(url.substr(0, url.lastIndexOf("/") + 1) + fontsFeatures, options)
+                .then((res) => {
+                    if (!res.exists)
+                        return null;
+                    
+                    return Array.isArray(res.content.variants) ? res.content.variants.map(GlyphFeatures.deserialize) : [GlyphFeatures.deserialize(res.content)];
+                })
+                .catch(() => null);
+        };
+        
+        /**
+         * _prepareMetrics Decode the metrics of the glyphs of a variant, keyed in their NFC form as the glyphs.
+         * @param {Object} [metrics] {size, glyphs, kerning, ligatures}
+         * @return {Object|null} Null for a variant without metrics.
+        */
+        
+        const _prepareMetrics = (metrics) => {
+            if (!metrics || !metrics.glyphs)
+                return null;
+            
+            const result = {size: metrics.size, glyphs: {}, kerning: {}, ligatures: {}};
+            
+            for (const symbol in metrics.glyphs)
+                result.glyphs[Charsets.key(symbol)] = metrics.glyphs[symbol];
+            
+            for (const pair in metrics.kerning)
+                result.kerning[Charsets.key(pair)] = metrics.kerning[pair];
+            
+            for (const ligature in metrics.ligatures)
+                result.ligatures[Charsets.key(ligature)] = Object.assign({}, metrics.ligatures[ligature], {
+                    image: `data:image/png;base64,${metrics.ligatures[ligature].image}`
+                });
+            
+            return result;
+        };
+        
+        /**
+         * _prepareVariant Decode the glyphs of a variant and complete its style.
+         * The symbols of the glyphs and of their features are keyed in their NFC form, as the recognized ones (see Charsets).
+         * The stored variant is left as it is, it can be cached.
+         * @param {Object} variant {weight, style, stretch, alpha, metrics}
+         * @param {Object|null} features The precomputed features of the glyphs of the variant.
+         * @return {Object}
+        */
+        
+        const _prepareVariant = (variant, features) => {
+            const alpha = {};
+            const glyphs = features ? {} : null;
+            
+            for (const symbol in variant.alpha)
+                alpha[Charsets.key(symbol)] = `data:image/png;base64,${variant.alpha[symbol]}`;
+            
+            for (const symbol in features)
+                glyphs[Charsets.key(symbol)] = features[symbol];
+            
+            return Object.assign({}, _style, variant, {alpha, features: glyphs, metrics: _prepareMetrics(variant.metrics)});
+        };
+        
         /**
          * _prepareFont Request a font.
-         * Established the following JSON structure for a font file.
+         * Established the following JSON structure for a font file, a family with its variants.
          * {
          *     "meta": {
          *         "name": "...,
@@ -86,14 +271,36 @@ export const FontStorage = (
          *         "key": "value",
          *         ...
          *     },
-         *     "alpha": {
-         *         "a": "base64",
-         *         "b": "base64",
-         *         "c": "base64",
+         *     "variants": [
+         *         {
+         *             "weight": 400,
+         *             "style": "normal",
+         *             "stretch": "normal",
+         *             "alpha": {
+         *                 "a": "base64",
+         *                 "b": "base64",
+         *                 ...
+         *             },
+         *             "metrics": {
+         *                 "size": 40,
+         *                 "glyphs": {"a": {"advance": 21.2, "left": 1.4, "top": -20.6}, ...},
+         *                 "kerning": {"AV": -2.72, ...},
+         *                 "ligatures": {"fi": {"image": "base64", "advance": 23.72, "left": 0.6, "top": -29.4}, ...}
+         *             }
+         *         },
          *         ...
-         *     }
+         *     ]
          * }
-         * Each key and value of the meta object will be included in the final result.
+         * The weight, style and stretch are the CSS ones (400, "normal" and "normal" when missing).
+         * The single variant format, {meta, alpha}, is still accepted: its style is read from meta.weight, meta.style and meta.stretch
+         * and its family from meta.family (e.g. a "Roboto Bold" font of the "Roboto" family).
+         * Each key and value of the meta object will be included in the final result, meta.scripts lists the scripts covered by the glyphs
+         * (see Charsets), read from the symbols when missing. The symbols are any Unicode grapheme, e.g. "é", "Ж" or "Ω".
+         * The precomputed features of the glyphs, if available, are set as the features property of each variant (see GlyphFeatures).
+         * The metrics are optional, the lengths of the glyphs at the rendering size [px] used to render whole words (see WordRendering):
+         * the advance and the top left corner of each glyph from the pen on the baseline, the kerning of the pairs of symbols and the ligatures.
+         * The alpha and the features of the first variant are also the ones of the font.
+         * A new font is built at each request, the fetched file is cached (see _cachedFetch).
          * @param {String} url The URL of the directory containing the fonts.
          * @param {Object} [options = {}]
          * @return {Promise}
@@ -101,15 +308,27 @@ export const FontStorage = (
         
         const _prepareFont = (url, options = {}) => {
             return new Promise((resolve, reject) => {
-                _fetch(url, options).then((res) => {
-                    const alpha = res.content.alpha;
+                Promise.all([_cachedFetch(url, options), _prepareFeatures(url, options)]).then((res) => {
+                    if (!res[0].exists)
+                        return reject(`Unable to find the font ${url}`);
+                    
+                    const content = Object.assign({}, res[0].content);
+                    const meta = content.meta = Object.assign({}, content.meta);
+                    const features = res[1] || [];
+                    const variants = content.variants || (content.alpha ? [{
+                        weight: meta.weight || _style.weight,
+                        style: meta.style || _style.style,
+                        stretch: meta.stretch || _style.stretch,
+                        alpha: content.alpha
+                    }] : []);
                     
-                    if (alpha)
+                    if (Array.isArray(variants) && variants.length && variants.every((variant) => variant.alpha))
                     {
-                        for (const symbol in alpha)
-                            alpha[symbol] = `data:image/png;base64,${alpha[symbol]}`;
-                        
-                        resolve(res.content);
+                        content.variants = variants.map((variant, i) => _prepareVariant(variant, features[i] || null));
+                        meta.scripts = meta.scripts || Charsets.covered([].concat(...content.variants.map((variant) => Object.keys(variant.alpha))));
+                        content.alpha = content.variants[0].alpha;
+                        content.features = content.variants[0].features;
+                        resolve(content);
                     }
                     else {
                         reject(`The JSON structure of ${url} does not meet the established format for a font data file`);
@@ -121,7 +340,8 @@ export const FontStorage = (
         // Return the public context.
         return {
             prepareFontsIndex: (url, options) => _prepareFontsIndex(url, options),
-            prepareFont: (url, options) => _prepareFont(url, options)     
+            prepareFont: (url, options) => _prepareFont(url, options),
+            clearCache: () => _clearCache()
         };
     }
 
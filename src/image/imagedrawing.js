@@ -3,16 +3,19 @@
  * @author Vasile Pește <sirvasile@protonmail.ch>
 */
 
+import {Platform} from "../platform/platform.js";
+import {ImageSource} from "./source.js";
+
 export const ImageDrawing = class {
 
     constructor () {
-        this.canvas = document.createElement("canvas");
+        this.canvas = Platform.createCanvas();
         this.context = this.canvas.getContext("2d");
     }
     
     /**
      * draw Load a image inside the canvas (overriding the current frame).
-     * @param {String} url The URL of the image to draw.
+     * @param {String|Blob|ImageBitmap|ImageData|Canvas|Buffer} url The URL of the image to draw or the image itself (see ImageSource).
      * @param {Number} [scale = 1] Scale factor.
      * @param {Number} [w = undefined] New width.
      * @param {Number} [h = undefined] New height.
@@ -22,9 +25,7 @@ export const ImageDrawing = class {
     draw (url, scale = 1, w = undefined, h = undefined)
     {
         return new Promise((resolve, reject) => {
-            const image = document.createElement("img");
-            
-            image.onload = () => {
+            ImageSource.load(url).then((image) => {
                 let width = w || image.width;
                 let height = h || image.height;
                 
@@ -36,9 +37,7 @@ export const ImageDrawing = class {
                 this.context.drawImage(image, 0, 0, width, height);
                 
                 resolve();
-            };
-            image.onerror = image.onabort = () => reject(`Unable to load ${url}`);
-            image.src = url;
+            }).catch(reject);
         });
     }
     
@@ -53,7 +52,7 @@ export const ImageDrawing = class {
     
     crop (x, y, width, height)
     {
-        const fragment = document.createElement("canvas").getContext("2d");
+        const fragment = Platform.createCanvas().getContext("2d");
         const data = this.context.getImageData(x, y, width - x, height - y);
         
         fragment.canvas.width = data.width;
@@ -102,27 +101,468 @@ export const ImageDrawing = class {
     }
     
     /**
-     * binarize Turn the canvas into black and white.
+     * luma Get the luma of each pixel of the canvas.
+     * @return {Float32Array}
     */
     
-    binarize ()
+    luma ()
     {
-        const canvas = this.context.getImageData(0, 0, this.canvas.width, this.canvas.height);
+        const data = this.data;
+        const luma = new Float32Array(data.length / 4);
+        
+        for (let i = 0, ll = data.length; i < ll; i += 4)
+            luma[i / 4] = data[i] * 0.2126 + data[i + 1] * 0.7152 + data[i + 2] * 0.0722;
+        
+        return luma;
+    }
+    
+    /**
+     * lightText Check if the text of the canvas is lighter than its background.
+     * The text is the minority of the pixels that differ from their neighbourhood, so the skewness
+     * of the difference between each pixel and its local mean tells the polarity, even on gradients.
+     * @param {Number} [windowSize = 25] The side of the neighbourhood [px].
+     * @return {Boolean}
+    */
+    
+    lightText (windowSize = 25)
+    {
+        const luma = this.luma();
+        const mean = ImageDrawing.localStatistics(luma, this.canvas.width, this.canvas.height, windowSize).mean;
+        let skewness = 0;
+        
+        for (let i = 0, ll = luma.length; i < ll; ++i)
+            skewness += Math.pow(luma[i] - mean[i], 3);
+        
+        return skewness > 0;
+    }
+    
+    /**
+     * binarize Turn the canvas into black text on a white background.
+     * Methods:
+     * - otsu: global threshold that best separates the two classes of pixels.
+     * - sauvola: local threshold mean * (1 + k * (deviation / 128 - 1)), for uneven backgrounds.
+     * - niblack: local threshold mean + k * deviation.
+     * The local methods keep as background the pixels of the flat neighbourhoods (deviation below the minimum contrast),
+     * where the threshold is about the mean and would turn half of the background into ink.
+     * @param {String} [method = "otsu"] The thresholding method: otsu, sauvola or niblack.
+     * @param {Number} [windowSize = 25] The side of the neighbourhood of the local methods [px].
+     * @param {Number} [k = undefined] The k parameter of the local methods (default 0.34 for sauvola, -0.2 for niblack).
+     * @param {Number} [contrast = 10] The minimum standard deviation of the luma of a neighbourhood containing ink, for the local methods.
+    */
+    
+    binarize (method = "otsu", windowSize = 25, k = undefined, contrast = 10)
+    {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const canvas = this.context.getImageData(0, 0, width, height);
         const data = canvas.data;
+        const luma = this.luma();
         
-        this.grayscale();
+        // Work with dark text, the thresholds below assume it.
+        if (this.lightText(windowSize))
+            for (let i = 0, ll = luma.length; i < ll; ++i)
+                luma[i] = 255 - luma[i];
+        
+        let threshold;
+        
+        if (method == "sauvola" || method == "niblack") {
+            const stats = ImageDrawing.localStatistics(luma, width, height, windowSize);
+            
+            threshold = new Float32Array(luma.length);
+            
+            // The pixels of the flat neighbourhoods get a threshold no luma is below.
+            for (let i = 0, ll = luma.length; i < ll; ++i)
+                threshold[i] = stats.deviation[i] < contrast ? 0 : method == "sauvola" ?
+                    stats.mean[i] * (1 + (k === undefined ? 0.34 : k) * (stats.deviation[i] / 128 - 1)) :
+                    stats.mean[i] + (k === undefined ? -0.2 : k) * stats.deviation[i];
+        }
+        else if (method == "otsu") {
+            threshold = ImageDrawing.otsuThreshold(luma);
+        }
+        else {
+            throw `Unknown binarization method ${method}`;
+        }
         
         for (let i = 0, ll = data.length; i < ll; i += 4)
         {
-            const luma = data[i];
+            const value = luma[i / 4];
+            // The Otsu threshold is the last luma of the dark class, the ink is strictly darker than a local threshold.
+            const ink = typeof threshold == "number" ? value <= threshold : value < threshold[i / 4];
             
-            // Consider: 40 <= luma <= 140.
-            data[i] = data[i + 1] = data[i + 2] = luma >= 60 && luma <= 160 ? 0 : 255;
+            data[i] = data[i + 1] = data[i + 2] = ink ? 0 : 255;
+            data[i + 3] = 255;
         }
         
         this.context.putImageData(canvas, 0, 0);
     }
     
+    /**
+     * inkBox Get the bounding box and the center of mass of the ink of the canvas (dark opaque pixels).
+     * @param {Number} [threshold = 128] Luma threshold, darker pixels are considered ink.
+     * @return {Object|null} {x0, y0, x1, y1, cx, cy} (the corners are inclusive [px]), null if the canvas has no ink.
+    */
+    
+    inkBox (threshold = 128)
+    {
+        const width = this.canvas.width;
+        const data = this.data;
+        let x0 = Infinity;
+        let y0 = Infinity;
+        let x1 = -1;
+        let y1 = -1;
+        let cx = 0;
+        let cy = 0;
+        let mass = 0;
+        
+        for (let i = 0, ll = data.length; i < ll; i += 4)
+        {
+            const luma = data[i] * 0.2126 + data[i + 1] * 0.7152 + data[i + 2] * 0.0722;
+            
+            if (luma >= threshold || data[i + 3] < 128)
+                continue;
+            
+            const x = (i / 4) % width;
+            const y = Math.floor(i / 4 / width);
+            
+            x0 = Math.min(x0, x);
+            y0 = Math.min(y0, y);
+            x1 = Math.max(x1, x);
+            y1 = Math.max(y1, y);
+            cx += x + 0.5;
+            cy += y + 0.5;
+            ++mass;
+        }
+        
+        return mass ? {x0, y0, x1, y1, cx: cx / mass, cy: cy / mass} : null;
+    }
+    
+    /**
+     * normalize Trim the canvas to the bounding box of its ink (dark opaque pixels) and pad it to a square,
+     * keeping the aspect ratio, with the center of mass of the ink in the middle.
+     * @param {Number} [threshold = 128] Luma threshold, darker pixels are considered ink.
+     * @return {Object} The size of the ink {width, height}, 0 x 0 if the canvas has no ink (and it is left as it is).
+    */
+    
+    normalize (threshold = 128)
+    {
+        const box = this.inkBox(threshold);
+        
+        if (!box)
+            return {width: 0, height: 0};
+        
+        const {x0, y0, x1, y1, cx, cy} = box;
+        const inkWidth = x1 - x0 + 1;
+        const inkHeight = y1 - y0 + 1;
+        // The square must hold all the ink around the center of mass.
+        const side = Math.ceil(2 * Math.max(cx - x0, x1 + 1 - cx, cy - y0, y1 + 1 - cy));
+        const fragment = Platform.createCanvas(side, side);
+        const context = fragment.getContext("2d");
+        
+        context.fillStyle = "#fff";
+        context.fillRect(0, 0, side, side);
+        context.drawImage(this.canvas, x0, y0, inkWidth, inkHeight, Math.round(side / 2 - (cx - x0)), Math.round(side / 2 - (cy - y0)), inkWidth, inkHeight);
+        
+        this.canvas.width = side;
+        this.canvas.height = side;
+        this.context.drawImage(fragment, 0, 0);
+        
+        return {width: inkWidth, height: inkHeight};
+    }
+    
+    /**
+     * trim Trim the canvas to the bounding box of its ink (dark opaque pixels).
+     * @param {Number} [threshold = 128] Luma threshold, darker pixels are considered ink.
+     * @return {Object} The size of the ink {width, height}, 0 x 0 if the canvas has no ink (and it is left as it is).
+    */
+    
+    trim (threshold = 128)
+    {
+        const box = this.inkBox(threshold);
+        
+        if (!box)
+            return {width: 0, height: 0};
+        
+        const fragment = Platform.createCanvas(box.x1 - box.x0 + 1, box.y1 - box.y0 + 1);
+        
+        fragment.getContext("2d").drawImage(this.canvas, box.x0, box.y0, fragment.width, fragment.height, 0, 0, fragment.width, fragment.height);
+        this.replace(fragment);
+        
+        return {width: fragment.width, height: fragment.height};
+    }
+    
+    /**
+     * replace Replace the current frame with the content of another canvas.
+     * @param {Canvas} canvas
+    */
+    
+    replace (canvas)
+    {
+        this.canvas.width = canvas.width;
+        this.canvas.height = canvas.height;
+        this.context.drawImage(canvas, 0, 0);
+    }
+    
+    /**
+     * borderColor Get the average color of the pixels on the border of the canvas, an estimate of the background.
+     * @return {String} The CSS color.
+    */
+    
+    borderColor ()
+    {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const data = this.data;
+        const color = [0, 0, 0];
+        let count = 0;
+        
+        for (let y = 0; y < height; ++y)
+            for (let x = 0; x < width; x += y && y < height - 1 ? Math.max(1, width - 1) : 1)
+            {
+                const i = (y * width + x) * 4;
+                
+                color[0] += data[i];
+                color[1] += data[i + 1];
+                color[2] += data[i + 2];
+                ++count;
+            }
+        
+        return `rgb(${color.map((value) => Math.round(value / Math.max(1, count))).join(", ")})`;
+    }
+    
+    /**
+     * clip Keep only a region of the canvas: a rectangle or a polygon (the pixels outside the polygon get the background color).
+     * @param {Object|Array} region The rectangle {x, y, width, height} or the points of the polygon [{x, y}, ...].
+    */
+    
+    clip (region)
+    {
+        const polygon = Array.isArray(region) ? region : null;
+        const x = polygon ? Math.min(...polygon.map((point) => point.x)) : region.x;
+        const y = polygon ? Math.min(...polygon.map((point) => point.y)) : region.y;
+        const width = Math.round((polygon ? Math.max(...polygon.map((point) => point.x)) : region.x + region.width) - x);
+        const height = Math.round((polygon ? Math.max(...polygon.map((point) => point.y)) : region.y + region.height) - y);
+        
+        if (!(width > 0 && height > 0))
+            throw `Invalid crop region ${JSON.stringify(region)}`;
+        
+        const fragment = Platform.createCanvas(width, height);
+        const context = fragment.getContext("2d");
+        
+        context.fillStyle = this.borderColor();
+        context.fillRect(0, 0, width, height);
+        
+        if (polygon) {
+            context.beginPath();
+            polygon.forEach((point, i) => i ? context.lineTo(point.x - x, point.y - y) : context.moveTo(point.x - x, point.y - y));
+            context.closePath();
+            context.clip();
+        }
+        
+        context.drawImage(this.canvas, -x, -y);
+        this.replace(fragment);
+    }
+    
+    /**
+     * rotate Rotate the canvas around its center, the canvas grows to hold the whole image.
+     * The uncovered corners get the background color.
+     * @param {Number} angle Clockwise angle [deg].
+    */
+    
+    rotate (angle)
+    {
+        const radians = angle * Math.PI / 180;
+        const cos = Math.abs(Math.cos(radians));
+        const sin = Math.abs(Math.sin(radians));
+        const width = Math.round(this.canvas.width * cos + this.canvas.height * sin);
+        const height = Math.round(this.canvas.width * sin + this.canvas.height * cos);
+        const fragment = Platform.createCanvas(width, height);
+        const context = fragment.getContext("2d");
+        
+        context.fillStyle = this.borderColor();
+        context.fillRect(0, 0, width, height);
+        context.translate(width / 2, height / 2);
+        context.rotate(radians);
+        context.drawImage(this.canvas, -this.canvas.width / 2, -this.canvas.height / 2);
+        this.replace(fragment);
+    }
+    
+    /**
+     * scale Resize the canvas by a factor (smoothed).
+     * @param {Number} factor
+    */
+    
+    scale (factor)
+    {
+        const width = Math.max(1, Math.round(this.canvas.width * factor));
+        const height = Math.max(1, Math.round(this.canvas.height * factor));
+        const fragment = Platform.createCanvas(width, height);
+        const context = fragment.getContext("2d");
+        
+        context.imageSmoothingEnabled = true;
+        context.imageSmoothingQuality = "high";
+        context.drawImage(this.canvas, 0, 0, width, height);
+        this.replace(fragment);
+    }
+    
+    /**
+     * denoise Remove the salt and pepper noise with a median filter on each channel.
+     * @param {Number} [radius = 1] The radius of the neighbourhood [px].
+    */
+    
+    denoise (radius = 1)
+    {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const canvas = this.context.getImageData(0, 0, width, height);
+        const source = canvas.data.slice();
+        const data = canvas.data;
+        const values = [];
+        
+        for (let y = 0; y < height; ++y)
+            for (let x = 0; x < width; ++x)
+                for (let c = 0; c < 3; ++c)
+                {
+                    values.length = 0;
+                    
+                    for (let dy = Math.max(0, y - radius); dy <= Math.min(height - 1, y + radius); ++dy)
+                        for (let dx = Math.max(0, x - radius); dx <= Math.min(width - 1, x + radius); ++dx)
+                            values.push(source[(dy * width + dx) * 4 + c]);
+                    
+                    values.sort((a, b) => a - b);
+                    data[(y * width + x) * 4 + c] = values[values.length >> 1];
+                }
+        
+        this.context.putImageData(canvas, 0, 0);
+    }
+    
+    /**
+     * stretchContrast Stretch the luma range of the canvas to the full range, ignoring the darkest and the lightest outliers.
+     * @param {Number} [low = 0.01] The fraction of the darkest pixels mapped to black.
+     * @param {Number} [high = 0.99] The fraction of the pixels mapped below white.
+    */
+    
+    stretchContrast (low = 0.01, high = 0.99)
+    {
+        const canvas = this.context.getImageData(0, 0, this.canvas.width, this.canvas.height);
+        const data = canvas.data;
+        const luma = this.luma().sort();
+        const min = luma[Math.floor(low * (luma.length - 1))];
+        const max = luma[Math.ceil(high * (luma.length - 1))];
+        
+        if (max <= min)
+            return;
+        
+        for (let i = 0, ll = data.length; i < ll; i += 4)
+            for (let c = 0; c < 3; ++c)
+                data[i + c] = Math.min(255, Math.max(0, (data[i + c] - min) * 255 / (max - min)));
+        
+        this.context.putImageData(canvas, 0, 0);
+    }
+    
+    /**
+     * ink Get the ink pixels of the canvas: the text pixels after the polarity detection and the Otsu thresholding.
+     * @param {Number} [windowSize = 25] The side of the neighbourhood of the polarity detection [px].
+     * @return {Uint8Array} 1 for ink.
+    */
+    
+    ink (windowSize = 25)
+    {
+        const luma = this.luma();
+        const light = this.lightText(windowSize);
+        const threshold = ImageDrawing.otsuThreshold(luma);
+        const ink = new Uint8Array(luma.length);
+        
+        for (let i = 0, ll = luma.length; i < ll; ++i)
+            ink[i] = light ? luma[i] > threshold : luma[i] <= threshold;
+        
+        return ink;
+    }
+    
+    /**
+     * skewAngle Detect the angle of the text lines with a projection profile: the rows of the rotated ink
+     * are the sharpest (the highest sum of squares) when they follow the lines.
+     * @param {Number} [maxAngle = 15] The maximum detected angle [deg].
+     * @param {Number} [precision = 0.5] The step of the search [deg].
+     * @return {Number} Clockwise angle [deg], rotate the canvas by its opposite to straighten the text.
+    */
+    
+    skewAngle (maxAngle = 15, precision = 0.5)
+    {
+        const width = this.canvas.width;
+        const ink = this.ink();
+        const points = [];
+        let best = 0;
+        let angle = 0;
+        
+        for (let i = 0, ll = ink.length; i < ll; ++i)
+            if (ink[i])
+                points.push(i);
+        
+        // A sample of the ink is enough to find the lines.
+        const stride = Math.max(1, Math.floor(points.length / 20000));
+        
+        for (let degrees = -maxAngle; degrees <= maxAngle; degrees += precision)
+        {
+            const radians = degrees * Math.PI / 180;
+            const cos = Math.cos(radians);
+            const sin = Math.sin(radians);
+            const rows = new Map();
+            let score = 0;
+            
+            for (let i = 0, ll = points.length; i < ll; i += stride)
+            {
+                const row = Math.round((Math.floor(points[i] / width)) * cos - (points[i] % width) * sin);
+                
+                rows.set(row, (rows.get(row) || 0) + 1);
+            }
+            
+            for (const count of rows.values())
+                score += count * count;
+            
+            if (score > best) {
+                best = score;
+                angle = degrees;
+            }
+        }
+        
+        return angle;
+    }
+    
+    /**
+     * textHeight Estimate the height of the text lines: the median height of the bands of rows containing ink.
+     * @return {Number} [px], 0 if the canvas has no ink.
+    */
+    
+    textHeight ()
+    {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const ink = this.ink();
+        const bands = [];
+        let band = 0;
+        
+        for (let y = 0; y <= height; ++y)
+        {
+            let count = 0;
+            
+            for (let x = 0; y < height && x < width; ++x)
+                count += ink[y * width + x];
+            
+            // The rows with a few ink pixels are noise, not text.
+            if (count > width * 0.005) {
+                ++band;
+            }
+            else if (band) {
+                bands.push(band);
+                band = 0;
+            }
+        }
+        
+        bands.sort((a, b) => a - b);
+        
+        return bands.length ? bands[bands.length >> 1] : 0;
+    }
+    
     /**
      * brightness Get the average brightness of the current frame.
      * @return {Number}
@@ -175,6 +615,107 @@ export const ImageDrawing = class {
         return this.context.getImageData(0, 0, this.canvas.width, this.canvas.height).data;
     }
     
+    /**
+     * otsuThreshold Compute the Otsu threshold of a list of luma values.
+     * @param {Float32Array} luma
+     * @return {Number}
+    */
+    
+    static otsuThreshold (luma)
+    {
+        const histogram = new Array(256).fill(0);
+        let sum = 0;
+        let sumBackground = 0;
+        let weightBackground = 0;
+        let best = 0;
+        let threshold = 0;
+        
+        for (const value of luma)
+            ++histogram[Math.round(value)];
+        
+        for (let i = 0; i < 256; ++i)
+            sum += i * histogram[i];
+        
+        for (let i = 0; i < 256; ++i)
+        {
+            weightBackground += histogram[i];
+            
+            const weightForeground = luma.length - weightBackground;
+            
+            if (!weightBackground || !weightForeground)
+                continue;
+            
+            sumBackground += i * histogram[i];
+            
+            const meanBackground = sumBackground / weightBackground;
+            const meanForeground = (sum - sumBackground) / weightForeground;
+            const variance = weightBackground * weightForeground * Math.pow(meanBackground - meanForeground, 2);
+            
+            if (variance > best) {
+                best = variance;
+                threshold = i;
+            }
+        }
+        
+        return threshold;
+    }
+    
+    /**
+     * localStatistics Compute the mean and the standard deviation of the neighbourhood of each pixel (using integral images).
+     * @param {Float32Array} luma
+     * @param {Number} width
+     * @param {Number} height
+     * @param {Number} windowSize The side of the neighbourhood [px].
+     * @return {Object} {mean, deviation}
+    */
+    
+    static localStatistics (luma, width, height, windowSize)
+    {
+        const stride = width + 1;
+        const sum = new Float64Array(stride * (height + 1));
+        const squares = new Float64Array(stride * (height + 1));
+        const mean = new Float32Array(luma.length);
+        const deviation = new Float32Array(luma.length);
+        const half = windowSize >> 1;
+        
+        for (let y = 0; y < height; ++y)
+        {
+            let row = 0;
+            let rowSquares = 0;
+            
+            for (let x = 0; x < width; ++x)
+            {
+                const value = luma[y * width + x];
+                
+                row += value;
+                rowSquares += value * value;
+                sum[(y + 1) * stride + x + 1] = sum[y * stride + x + 1] + row;
+                squares[(y + 1) * stride + x + 1] = squares[y * stride + x + 1] + rowSquares;
+            }
+        }
+        
+        for (let y = 0; y < height; ++y)
+        {
+            const y0 = Math.max(0, y - half);
+            const y1 = Math.min(height, y + half + 1);
+            
+            for (let x = 0; x < width; ++x)
+            {
+                const x0 = Math.max(0, x - half);
+                const x1 = Math.min(width, x + half + 1);
+                const area = (x1 - x0) * (y1 - y0);
+                const s = sum[y1 * stride + x1] - sum[y0 * stride + x1] - sum[y1 * stride + x0] + sum[y0 * stride + x0];
+                const q = squares[y1 * stride + x1] - squares[y0 * stride + x1] - squares[y1 * stride + x0] + squares[y0 * stride + x0];
+                const m = s / area;
+                
+                mean[y * width + x] = m;
+                deviation[y * width + x] = Math.sqrt(Math.max(0, q / area - m * m));
+            }
+        }
+        
+        return {mean, deviation};
+    }
+    
     /**
      * base64ToBuffer Serialize a base64 string to ArrayBuffer.
      * @param {String} base64 The base64 string.
@@ -0,0 +1,41 @@
+/**
+ * @module Normalization Used to normalize the glyphs before the comparison (see ImageDrawing.normalize).
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+import {ImageDrawing} from "./imagedrawing.js";
+import {PromiseCache} from "../utils/cache.js";
+
+export const Normalization = (
+
+    function (undefined)
+    {
+        // The last normalized glyphs, the recognized symbols are compared with every font.
+        const _cache = PromiseCache(512);
+        
+        /**
+         * _normalize Trim a glyph to its ink and pad it to a square centered on its center of mass.
+         * @param {String} url The URL of the glyph image.
+         * @return {Promise} Resolved with {image, ratio}: the base64 data image/png of the normalized glyph and the width-to-height ratio of its ink.
+        */
+        
+        const _normalize = (url) => {
+            return new Promise((resolve, reject) => {
+                const img = new ImageDrawing();
+                
+                img.draw(url).then(() => {
+                    const ink = img.normalize();
+                    
+                    resolve({
+                        image: img.toDataURL(),
+                        ratio: ink.height ? ink.width / ink.height : 1
+                    });
+                }).catch(reject);
+            });
+        };
+        
+        // Return the public context.
+        return (url) => _cache(url, () => _normalize(url));
+    }
+
+());
\ No newline at end of file
@@ -0,0 +1,80 @@
+/**
+ * @module Overlay Used to show how a recognized symbol differs from the glyph of a font.
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+import {Platform} from "../platform/platform.js";
+import {GlyphFeatures} from "../comparison/features.js";
+
+export const Overlay = (
+
+    function (undefined)
+    {
+        // The colors of the diff: the ink of both glyphs, of the recognized symbol only and of the font glyph only.
+        const _colors = {
+            both: [0, 0, 0],
+            query: [220, 40, 40],
+            glyph: [40, 90, 220],
+            none: [255, 255, 255]
+        };
+        
+        /**
+         * _diff Draw the XOR diff of two bitmaps.
+         * @param {Uint8Array} first The bitmap of the recognized symbol (1 for white).
+         * @param {Uint8Array} second The bitmap of the font glyph (1 for white).
+         * @param {Number} size
+         * @return {String} The base64 data image/png of the diff.
+        */
+        
+        const _diff = (first, second, size) => {
+            const canvas = Platform.createCanvas(size, size);
+            const context = canvas.getContext("2d");
+            const image = context.createImageData(size, size);
+            
+            for (let i = 0, ll = size * size; i < ll; ++i)
+            {
+                const color = _colors[!first[i] ? (!second[i] ? "both" : "query") : (!second[i] ? "glyph" : "none")];
+                
+                image.data.set(color, i * 4);
+                image.data[i * 4 + 3] = 255;
+            }
+            
+            context.putImageData(image, 0, 0);
+            
+            return canvas.toDataURL();
+        };
+        
+        /**
+         * _create Build the overlay images of a recognized symbol and of a font glyph.
+         * @param {Object} query The recognized symbol {image, features}.
+         * @param {Object} glyph The font glyph {image, features}.
+         * @param {Object} [options = {}]
+         * @return {Promise} Resolved with {query, glyph, diff}: the base64 data image/png of the symbol, of the glyph
+         * and of their diff (black for the common ink, red for the symbol only, blue for the glyph only).
+        */
+        
+        const _create = (query, glyph, options = {}) => {
+            const {
+                // Used as dimension when resizing the images to the same size.
+                perceptualComparisonSize = 64
+            } = options;
+            const size = perceptualComparisonSize;
+            
+            return new Promise((resolve, reject) => {
+                Promise.all([GlyphFeatures.glyphBitmap(query, size), GlyphFeatures.glyphBitmap(glyph, size)]).then((res) => {
+                    resolve({
+                        query: query.image,
+                        glyph: glyph.image,
+                        diff: _diff(res[0], res[1], size)
+                    });
+                }).catch(reject);
+            });
+        };
+        
+        // Return the public context.
+        return Object.assign((query, glyph, options) => _create(query, glyph, options), {
+            colors: _colors
+        });
+    }
+
+());
\ No newline at end of file
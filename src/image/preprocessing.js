@@ -0,0 +1,109 @@
+/**
+ * @module Preprocessing Used to prepare a image before the text recognition with an ordered list of ImageDrawing steps.
+ * A step is its name or an object with its type and parameters, e.g.
+ * [{"type": "crop", "rect": {"x": 0, "y": 0, "width": 400, "height": 200}}, "deskew", {"type": "upscale", "factor": 2}, "denoise", "contrast"]
+ * Steps:
+ * - crop {rect: {x, y, width, height}} or {polygon: [{x, y}, ...]}: keep only a region of the image.
+ * - rotate {angle}: rotate the image clockwise [deg].
+ * - deskew {maxAngle = 15, precision = 0.5, minAngle = 0.5}: straighten the text lines (see ImageDrawing.skewAngle).
+ * - upscale {factor} or {textHeight = 32, maxFactor = 4}: enlarge the image, by default until the text lines are textHeight pixels tall.
+ * - denoise {radius = 1}: median filter.
+ * - contrast {low = 0.01, high = 0.99}: contrast stretch.
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+export const Preprocessing = (
+
+    function (undefined)
+    {
+        // The steps by type, each one applies its parameters to the image and returns the details of what it did.
+        const _steps = {
+            crop: (img, step) => {
+                img.clip(step.polygon || step.rect);
+                
+                return {width: img.width, height: img.height};
+            },
+            rotate: (img, step) => {
+                const {
+                    angle = 0
+                } = step;
+                
+                img.rotate(angle);
+                
+                return {angle};
+            },
+            deskew: (img, step) => {
+                const {
+                    maxAngle = 15,
+                    precision = 0.5,
+                    // Smaller angles are left as they are, rotating blurs the text.
+                    minAngle = 0.5
+                } = step;
+                const angle = -img.skewAngle(maxAngle, precision);
+                
+                if (Math.abs(angle) >= minAngle)
+                    img.rotate(angle);
+                
+                return {angle: Math.abs(angle) >= minAngle ? angle : 0};
+            },
+            upscale: (img, step) => {
+                const {
+                    textHeight = 32,
+                    maxFactor = 4
+                } = step;
+                const height = step.factor ? 0 : img.textHeight();
+                const factor = step.factor || (height ? Math.min(maxFactor, Math.max(1, textHeight / height)) : 1);
+                
+                if (factor != 1)
+                    img.scale(factor);
+                
+                return {factor};
+            },
+            denoise: (img, step) => {
+                const {
+                    radius = 1
+                } = step;
+                
+                img.denoise(radius);
+                
+                return {radius};
+            },
+            contrast: (img, step) => {
+                const {
+                    low = 0.01,
+                    high = 0.99
+                } = step;
+                
+                img.stretchContrast(low, high);
+                
+                return {low, high};
+            }
+        };
+        
+        /**
+         * _run Apply the steps to a image, in order.
+         * @param {ImageDrawing} img
+         * @param {Array} [steps = []]
+         * @return {Array} The applied steps with their details, e.g. {type: "deskew", angle: -3.5}.
+        */
+        
+        const _run = (img, steps = []) => {
+            return steps.map((step) => {
+                if (typeof step == "string")
+                    step = {type: step};
+                
+                if (!_steps[step.type])
+                    throw `Unknown preprocessing step ${step.type}`;
+                
+                return Object.assign({type: step.type}, _steps[step.type](img, step));
+            });
+        };
+        
+        // Return the public context.
+        return {
+            steps: Object.keys(_steps),
+            run: (img, steps) => _run(img, steps)
+        };
+    }
+
+());
\ No newline at end of file
@@ -0,0 +1,150 @@
+/**
+ * @module ImageSource Used to turn the supported image inputs into something the canvas can draw.
+ * Supported inputs: URL (or path under Node.js), Blob/File, ImageBitmap, ImageData, image and canvas elements (OffscreenCanvas too),
+ * encoded image bytes (Buffer, ArrayBuffer, typed arrays).
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+import {Platform} from "../platform/platform.js";
+
+export const ImageSource = (
+
+    function (undefined)
+    {
+        /**
+         * _instance Check if a value is an instance of a global class, when the environment has it.
+         * @param {*} value
+         * @param {String} name The name of the class.
+         * @return {Boolean}
+        */
+        
+        const _instance = (value, name) => typeof globalThis[name] == "function" && value instanceof globalThis[name];
+        
+        /**
+         * _isBinary Check if a value holds encoded image bytes.
+         * @param {*} value
+         * @return {Boolean}
+        */
+        
+        const _isBinary = (value) => value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+        
+        /**
+         * _isImageData Check if a value has the structure of an ImageData (raw RGBA pixels).
+         * @param {*} value
+         * @return {Boolean}
+        */
+        
+        const _isImageData = (value) => _instance(value, "ImageData") || (
+            value.data instanceof Uint8ClampedArray && value.data.length == value.width * value.height * 4
+        );
+        
+        /**
+         * _isDrawable Check if a value can be drawn as it is: a canvas, an image or an ImageBitmap.
+         * @param {*} value
+         * @return {Boolean}
+        */
+        
+        const _isDrawable = (value) => _instance(value, "ImageBitmap") || _instance(value, "HTMLImageElement") || (
+            typeof value.width == "number" && typeof value.height == "number" && (typeof value.getContext == "function" || "naturalWidth" in value)
+        );
+        
+        /**
+         * _describe Get a short description of an image input, used in the error messages.
+         * @param {*} src
+         * @return {String}
+        */
+        
+        const _describe = (src) => {
+            if (typeof src == "string")
+                return src.indexOf("data:") ? src : `${src.substr(0, 32)}...`;
+            
+            if (src === null || typeof src != "object")
+                return String(src);
+            
+            if (_instance(src, "Blob"))
+                return `${src.name ? `the file ${src.name}` : "a Blob"} (${src.type || "unknown type"})`;
+            
+            if (_isBinary(src))
+                return `the image bytes (${src.byteLength} bytes)`;
+            
+            return `${src.constructor ? src.constructor.name : "an object"}${src.width !== undefined ? ` ${src.width}x${src.height}` : ""}`;
+        };
+        
+        /**
+         * _unsupported Get the error message of an unsupported input.
+         * @param {*} src
+         * @return {String}
+        */
+        
+        const _unsupported = (src) => `Unsupported image type ${_describe(src)}, expected a URL, Blob, File, ImageBitmap, ImageData, image, canvas or Buffer`;
+        
+        /**
+         * _decode Decode an encoded image.
+         * The browsers decode it as a ImageBitmap, the other environments through the Platform adapter.
+         * @param {Blob|ArrayBuffer|ArrayBufferView} data
+         * @return {Promise}
+        */
+        
+        const _decode = (data) => {
+            const blob = _instance(data, "Blob");
+            
+            if (typeof createImageBitmap == "function")
+                return createImageBitmap(blob ? data : new Blob([data]));
+            
+            return blob ? data.arrayBuffer().then((bytes) => Platform.loadImage(bytes)) : Platform.loadImage(data);
+        };
+        
+        /**
+         * _fromImageData Put raw pixels on a canvas.
+         * @param {ImageData} data
+         * @return {Canvas}
+        */
+        
+        const _fromImageData = (data) => {
+            const canvas = Platform.createCanvas(data.width, data.height);
+            const context = canvas.getContext("2d");
+            const image = context.createImageData(data.width, data.height);
+            
+            image.data.set(data.data);
+            context.putImageData(image, 0, 0);
+            
+            return canvas;
+        };
+        
+        /**
+         * _load Get a drawable image from an input.
+         * @param {*} src The image input.
+         * @return {Promise} Resolved with an object accepted by CanvasRenderingContext2D.drawImage.
+        */
+        
+        const _load = (src) => {
+            return new Promise((resolve, reject) => {
+                const fail = () => reject(`Unable to load ${_describe(src)}`);
+                
+                if (typeof src == "string")
+                    return Platform.loadImage(src).then(resolve).catch(reject);
+                
+                if (src === null || typeof src != "object")
+                    return reject(_unsupported(src));
+                
+                if (_instance(src, "Blob") || _isBinary(src))
+                    return _decode(src).then(resolve).catch(fail);
+                
+                if (_isImageData(src))
+                    return resolve(_fromImageData(src));
+                
+                if (_isDrawable(src))
+                    return resolve(src);
+                
+                reject(_unsupported(src));
+            });
+        };
+        
+        // Return the public context.
+        return {
+            load: (src) => _load(src),
+            describe: (src) => _describe(src)
+        };
+    }
+
+());
\ No newline at end of file
@@ -0,0 +1,91 @@
+/**
+ * @module WordRendering Used to render a word in a font from its stored glyphs and their metrics (see FontStorage).
+ * The glyphs are laid out on the baseline by their advances and the kerning of their pairs, with the ligatures of the font.
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+import {Platform} from "../platform/platform.js";
+import {ImageSource} from "./source.js";
+import {Charsets} from "../recognition/charsets.js";
+
+export const WordRendering = (
+
+    function (undefined)
+    {
+        /**
+         * _layout Place the glyphs of a word on the baseline, at the size of the metrics.
+         * @param {String} text
+         * @param {Object} font The variant of the font, with its metrics.
+         * @return {Array|null} The glyphs {image, x, y}: the image and the position of its top left corner [px], null if the font misses a glyph.
+        */
+        
+        const _layout = (text, font) => {
+            const metrics = font.metrics;
+            const symbols = Charsets.graphemes(Charsets.key(text));
+            const ligatures = Object.keys(metrics.ligatures).sort((a, b) => b.length - a.length);
+            const glyphs = [];
+            let pen = 0;
+            let previous = null;
+            
+            for (let i = 0; i < symbols.length;)
+            {
+                const rest = symbols.slice(i).join("");
+                const ligature = ligatures.find((ligature) => rest.indexOf(ligature) == 0);
+                const glyph = ligature ? metrics.ligatures[ligature] : metrics.glyphs[symbols[i]];
+                
+                if (!glyph || !(ligature || font.alpha[symbols[i]]))
+                    return null;
+                
+                // The pairs made with a ligature are not kerned.
+                if (previous && !ligature)
+                    pen += metrics.kerning[previous + symbols[i]] || 0;
+                
+                glyphs.push({image: ligature ? glyph.image : font.alpha[symbols[i]], x: pen + glyph.left, y: glyph.top});
+                pen += glyph.advance;
+                previous = ligature ? null : symbols[i];
+                i += ligature ? Charsets.graphemes(ligature).length : 1;
+            }
+            
+            return glyphs;
+        };
+        
+        /**
+         * _render Render a word in a font.
+         * @param {String} text
+         * @param {Object} font The variant of the font, with its metrics.
+         * @param {Number} [height] The height of the ink of the word [px], by default the one at the size of the metrics.
+         * @return {Promise} Resolved with the base64 data image/png of the word (black on white), null if the font has no metrics or misses a glyph.
+        */
+        
+        const _render = (text, font, height = undefined) => {
+            const glyphs = font.metrics ? _layout(text, font) : null;
+            
+            if (!glyphs || !glyphs.length)
+                return Promise.resolve(null);
+            
+            return Promise.all(glyphs.map((glyph) => ImageSource.load(glyph.image))).then((images) => {
+                const x0 = Math.min(...glyphs.map((glyph) => glyph.x));
+                const y0 = Math.min(...glyphs.map((glyph) => glyph.y));
+                const x1 = Math.max(...glyphs.map((glyph, i) => glyph.x + images[i].width));
+                const y1 = Math.max(...glyphs.map((glyph, i) => glyph.y + images[i].height));
+                const scale = height ? height / (y1 - y0) : 1;
+                const canvas = Platform.createCanvas(Math.max(1, Math.ceil((x1 - x0) * scale)), Math.max(1, Math.ceil((y1 - y0) * scale)));
+                const context = canvas.getContext("2d");
+                
+                context.fillStyle = "#fff";
+                context.fillRect(0, 0, canvas.width, canvas.height);
+                // The glyphs are opaque, the kerned ones overlap: the darkest pixel is kept.
+                context.globalCompositeOperation = "darken";
+                glyphs.forEach((glyph, i) => {
+                    context.drawImage(images[i], (glyph.x - x0) * scale, (glyph.y - y0) * scale, images[i].width * scale, images[i].height * scale);
+                });
+                
+                return canvas.toDataURL();
+            });
+        };
+        
+        // Return the public context.
+        return (text, font, height) => _render(text, font, height);
+    }
+
+());
\ No newline at end of file
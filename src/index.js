@@ -5,10 +5,23 @@
 */
 
 import {FontStorage} from "./font/fontstorage.js";
+import {FontIndex} from "./font/fontindex.js";
 import {ImageDrawing} from "./image/imagedrawing.js";
+import {Preprocessing} from "./image/preprocessing.js";
+import {ImageSource} from "./image/source.js";
 import {OpticalRecognition} from "./recognition/opticalrecognition.js";
-import {AnalyticPerception} from "./comparison/analytic.js";
+import {Charsets} from "./recognition/charsets.js";
 import {ShapePerception} from "./comparison/shape.js";
+import {MetricRegistry} from "./comparison/registry.js";
+import {ComparisonPool} from "./comparison/pool.js";
+import {Confidence} from "./comparison/confidence.js";
+import {Normalization} from "./image/normalization.js";
+import {Overlay} from "./image/overlay.js";
+import {WordRendering} from "./image/wordrendering.js";
+import {WordPerception} from "./comparison/word.js";
+import {Abort} from "./utils/abort.js";
+import {EventStream} from "./utils/eventstream.js";
+import {Limiter} from "./utils/limiter.js";
 
 export const Typefont = (
 
@@ -16,68 +29,105 @@ export const Typefont = (
     {
         /**
          * _symbolsToBase64 Get the base64 data image/png of the symbols recognized in a image.
+         * Every occurrence of a symbol is kept as a sample with its OCR confidence, the symbols are keyed in their NFC form (see Charsets).
          * @param {ImageDrawing} img The ImageDrawing instance of the recognized image.
-         * @param {Object} res The result of the recognition process.
+         * @param {Array} symbols The symbols of the result of the recognition process.
          * @param {Object} [options = {}]
-         * @return {Object}
+         * @return {Object} Each symbol is mapped to an array of samples: {image, confidence}.
         */
         
-        const _symbolsToBase64 = (img, res, options = {}) => {
+        const _symbolsToBase64 = (img, symbols, options = {}) => {
             const {
                 // The minimum confidence that a symbol must have to be accepted in the comparison queue.
                 // The confidence value is assigned by the OCR engine.
                 minSymbolConfidence = 15
             } = options;
             const data = {};
-            const symbols = res.symbols;
             
-            // This will skip double letters!
             // Note the confidence condition.
             for (const symbol of symbols)
-                if (symbol.confidence >= minSymbolConfidence)
-                    data[symbol.text] = img.crop(symbol.bbox.x0, symbol.bbox.y0, symbol.bbox.x1, symbol.bbox.y1);
+            {
+                if (symbol.confidence < minSymbolConfidence)
+                    continue;
+                
+                const key = Charsets.key(symbol.text);
+                
+                if (!data[key])
+                    data[key] = [];
+                
+                data[key].push({
+                    image: img.crop(symbol.bbox.x0, symbol.bbox.y0, symbol.bbox.x1, symbol.bbox.y1),
+                    confidence: symbol.confidence
+                });
+            }
             
             return data;
         };
         
         /**
-         * _needReverse Check if a binarized ImageDrawing instance must be reversed (necessary for the comparison).
-         * @param {Array} data The data of the ImageDrawing instance.
-         * @return {Boolean}
+         * _wordsToBase64 Get the base64 data image/png of the words recognized in a image, the most confident first.
+         * The words of a single symbol tell nothing more than their glyph and are skipped.
+         * @param {ImageDrawing} img The ImageDrawing instance of the recognized image.
+         * @param {Array} words The words of the result of the recognition process.
+         * @param {Object} [options = {}]
+         * @return {Array} The words: {text, image, height, confidence}, the height is the one of their bounding box.
         */
         
-        const _needReverse = (data) => {
-            let black = 0;
-            let white = 0;
-            
-            for (let i = 0, ll = data.length; i < ll; i += 4)
-                if (!data[i])
-                    ++black;
-                else
-                    ++white;
+        const _wordsToBase64 = (img, words, options = {}) => {
+            const {
+                // The words are accepted with the minimum confidence of the symbols.
+                minSymbolConfidence = 15,
+                // The maximum number of words rendered in each verified font (see _verifyWords).
+                wordVerificationWords = 5
+            } = options;
             
-            return black > white;
+            return words
+                .filter((word) => word.confidence >= minSymbolConfidence && Charsets.graphemes(word.text.trim()).length > 1)
+                .sort((a, b) => b.confidence - a.confidence)
+                .slice(0, wordVerificationWords)
+                .map((word) => ({
+                    text: Charsets.key(word.text.trim()),
+                    image: img.crop(word.bbox.x0, word.bbox.y0, word.bbox.x1, word.bbox.y1),
+                    height: word.bbox.y1 - word.bbox.y0,
+                    confidence: word.confidence
+                }));
+        };
+        
+        /**
+         * _emit Notify an event of the recognition process to the onEvent option.
+         * Events: "ocr-done" {recognition}, "shortlist" {names}, "font-scored" {name, font, similarity, symbols, progress}, "partial-ranking" {ranking},
+         * "font-verified" {name, font, wordSimilarity}, "region-ranked" {region}.
+         * @param {Object} options
+         * @param {String} type
+         * @param {Object} [detail = {}]
+        */
+        
+        const _emit = (options, type, detail = {}) => {
+            if (options.onEvent)
+                options.onEvent(Object.assign({type}, detail));
         };
         
         /**
-         * _symbolsToDomain Remove the single symbols from two lists of symbols.
-         * @param {Object} first The first list of symbols.
-         * @param {Object} second The second list of symbols.
+         * _domain Get the view of a font on the recognized symbols: the symbols it has a glyph for.
+         * The recognized symbols are shared by every font and left as they are, so the ranking does not depend on the order of the fonts.
+         * @param {Object} symbols The list of recognized symbols.
+         * @param {Object} font The variant of the font.
+         * @return {Object}
         */
         
-        const _symbolsToDomain = (first, second) => {
-            for (let key in first)
-                if (!second[key])
-                    delete first[key];
+        const _domain = (symbols, font) => {
+            const result = {};
+            
+            for (const symbol in symbols)
+                if (font.alpha[symbol])
+                    result[symbol] = symbols[symbol];
             
-            for (let key in second)
-                if (!first[key])
-                    delete second[key]; 
+            return result;
         };
         
         /**
          * _prepareImageRecognition Load and recognize the symbols and text in a image.
-         * @param {String} url The URL of the image to recognize.
+         * @param {String|Blob|ImageBitmap|ImageData|Canvas|Buffer} url The URL of the image to recognize or the image itself (see ImageSource).
          * @param {Object} [options = {}]
          * @return {Promise}
         */
@@ -86,51 +136,140 @@ export const Typefont = (
             const {
                 // Recognition timeout [s].
                 textRecognitionTimeout = 60,
+                // The ordered steps applied to the image before the recognition: crop, rotate, deskew, upscale, denoise, contrast (see Preprocessing).
+                preprocessing = [],
                 // Binarize the image before the recognition?
-                textRecognitionBinarization = true
+                textRecognitionBinarization = true,
+                // The thresholding method: "otsu" (global), "sauvola" or "niblack" (local, for uneven backgrounds).
+                textRecognitionBinarizationMethod = "otsu",
+                // The side of the neighbourhood used by the local methods and by the polarity detection [px].
+                textRecognitionBinarizationWindow = 25,
+                // The k parameter of the local methods (by default the one of the method).
+                textRecognitionBinarizationK,
+                // The minimum local contrast (standard deviation of the luma) of the text for the local methods, the flatter neighbourhoods are background.
+                textRecognitionBinarizationContrast = 10,
+                // Used to abort the recognition.
+                signal
             } = options;
             
             return new Promise((resolve, reject) => {
                 const image = new ImageDrawing();
                 
                 image.draw(url).then(() => {
+                    Abort.check(signal);
+                    
+                    // The symbols are cropped from the preprocessed image, their bounding boxes refer to it.
+                    const steps = Preprocessing.run(image, preprocessing);
+                    
+                    // The binarized image has black text on a white background, as the fonts.
                     if (textRecognitionBinarization)
-                    {
-                        image.binarize();
-                        
-                        if (_needReverse(image.data))
-                            image.reverse();   
-                    }
+                        image.binarize(textRecognitionBinarizationMethod, textRecognitionBinarizationWindow, textRecognitionBinarizationK, textRecognitionBinarizationContrast);
                     
-                    const timeout = setTimeout(() => reject(`Unable to recognize ${url}`), textRecognitionTimeout * 1000);
+                    // The timeout stops the OCR engine too.
+                    const controller = Abort.link(signal);
+                    const timeout = setTimeout(() => {
+                        reject(`Unable to recognize ${ImageSource.describe(url)}`);
+                        controller.abort();
+                    }, textRecognitionTimeout * 1000);
                     
-                    OpticalRecognition(image.toDataURL()).then((res) => {
+                    OpticalRecognition(image.toDataURL(), Object.assign({}, options, {signal: controller.signal})).then((res) => {
                         clearTimeout(timeout);
-                        res.symbolsBase64 = _symbolsToBase64(image, res, options);
+                        Abort.release(controller);
+                        res.symbolsBase64 = _symbolsToBase64(image, res.symbols, options);
                         res.pivot = image;
+                        res.preprocessing = steps;
+                        _emit(options, "ocr-done", {recognition: res});
                         resolve(res);
-                    }).catch(reject);
+                    }).catch((err) => {
+                        clearTimeout(timeout);
+                        Abort.release(controller);
+                        reject(err);
+                    });
                 }).catch(reject);
             });
         };
         
         /**
-         * _prepare Load the font index and the image recognition process by calling _prepareFontsIndex and _prepareImageRecognition.
-         * @param {String} url The URL of the image to recognize.
+         * _prepareFonts Load the font index and keep the fonts matching the filter (see FontIndex).
          * @param {Object} [options = {}]
-         * @return {Promise}
+         * @return {Promise} Resolved with the names of the fonts (index), their entries and the version of the database.
         */
         
-        const _prepare = (url, options = {}) => {
+        const _prepareFonts = (options = {}) => {
             const {
                 // The URL of the fonts index JSON file.
-                fontsIndex = "storage/index.json"
+                fontsIndex = "storage/index.json",
+                // Only the fonts of the index matching this filter are compared, e.g. {license: "OFL", classification: "sans"}.
+                fontFilter
             } = options;
             
+            return new Promise((resolve, reject) => {
+                FontStorage.prepareFontsIndex(fontsIndex, options).then((res) => {
+                    const entries = FontIndex.filter(res.entries, fontFilter);
+                    
+                    if (!entries.length)
+                        return reject(`No font of ${fontsIndex} matches the font filter`);
+                    
+                    resolve({index: entries.map((entry) => entry.name), entries, version: res.version});
+                }).catch(reject);
+            });
+        };
+        
+        /**
+         * _versioned Get the options used to load the fonts of an index, the cached font files follow the version of its database (see FontStorage).
+         * @param {Object} options
+         * @param {Object} fonts The fonts of the index (see _prepareFonts).
+         * @return {Object}
+        */
+        
+        const _versioned = (options, fonts) => fonts.version === undefined ? options : Object.assign({}, options, {fontsVersion: fonts.version});
+        
+        /**
+         * _candidates Skip the fonts of the index covering none of the scripts of the recognized symbols (see Charsets),
+         * e.g. the Latin only fonts for a Cyrillic text. The fonts of the index without scripts are kept.
+         * @param {Object} fonts The names of the fonts (index) and their entries.
+         * @param {Object} symbols The list of recognized symbols.
+         * @param {Object} [options = {}]
+         * @return {Array} The names of the fonts.
+        */
+        
+        const _candidates = (fonts, symbols, options = {}) => {
+            const {
+                // Skip the fonts that do not cover the scripts of the text?
+                scriptFilter = true
+            } = options;
+            const scripts = Charsets.scripts(Object.keys(symbols));
+            
+            if (!scriptFilter || !scripts.length)
+                return fonts.index;
+            
+            return fonts.entries
+                .filter((entry) => !entry.scripts || entry.scripts.some((script) => scripts.indexOf(script) != -1))
+                .map((entry) => entry.name);
+        };
+        
+        /**
+         * _fonts List the fonts of the index matching the filter, with the count of the fonts by each value of their fields.
+         * @param {Object} [options = {}]
+         * @return {Promise} Resolved with {fonts, facets} (see FontIndex).
+        */
+        
+        const _fonts = (options = {}) => {
+            return _prepareFonts(options).then((res) => ({fonts: res.entries, facets: FontIndex.facets(res.entries)}));
+        };
+        
+        /**
+         * _prepare Load the font index and the image recognition process by calling _prepareFontsIndex and _prepareImageRecognition.
+         * @param {String|Blob|ImageBitmap|ImageData|Canvas|Buffer} url The URL of the image to recognize or the image itself (see ImageSource).
+         * @param {Object} [options = {}]
+         * @return {Promise}
+        */
+        
+        const _prepare = (url, options = {}) => {
             return new Promise((resolve, reject) => {
                 Promise.all([
                     _prepareImageRecognition(url, options),
-                    FontStorage.prepareFontsIndex(fontsIndex)
+                    _prepareFonts(options)
                 ]).then((res) => {
                     resolve({
                         recognition: res[0],
@@ -141,14 +280,140 @@ export const Typefont = (
         };
         
         /**
-         * _compare Compare two lists of symbols using a perceptual and a pixel based image comparison.
-         * @param {Object} first The first list of symbols.
-         * @param {Object} second The second list of symbols.
+         * _glyph Get a symbol of a font with its precomputed features, as accepted by the comparison modules.
+         * @param {Object} font
+         * @param {String} symbol
+         * @return {Object} {image, features}
+        */
+        
+        const _glyph = (font, symbol) => ({
+            image: font.alpha[symbol],
+            features: font.features ? font.features[symbol] : undefined
+        });
+        
+        /**
+         * _normalizeGlyph Normalize a glyph before the comparison (see Normalization).
+         * The precomputed features are used only when they were computed with the same normalization and size,
+         * the metrics compute the other ones from the image.
+         * @param {Object} glyph {image, features}
+         * @param {Object} [options = {}]
+         * @return {Promise} Resolved with {image, features, ratio}.
+        */
+        
+        const _normalizeGlyph = (glyph, options = {}) => {
+            const {
+                // Normalize the glyphs before the comparison (trim, pad to a square, center on the center of mass)?
+                glyphNormalization = true,
+                // Used as dimension when resizing the images to the same size.
+                perceptualComparisonSize = 64
+            } = options;
+            const features = glyph.features;
+            const matching = features && Boolean(features.normalized) == Boolean(glyphNormalization) && features.size == perceptualComparisonSize;
+            
+            if (!glyphNormalization)
+                return Promise.resolve({image: glyph.image, features: matching ? features : undefined});
+            
+            if (matching && features.raster)
+                return Promise.resolve({image: glyph.image, features, ratio: features.ratio});
+            
+            return Normalization(glyph.image);
+        };
+        
+        /**
+         * _metrics Get the names of the metrics of a comparison result.
+         * @param {Object} res
+         * @return {Array}
+        */
+        
+        const _metrics = (res) => Object.keys(res).filter((key) => key != "confidence");
+        
+        /**
+         * _score Get the weighted mean of the metrics of a comparison result (see MetricRegistry).
+         * @param {Object} res
+         * @param {Object} [options = {}]
+         * @return {Number}
+        */
+        
+        const _score = (res, options = {}) => MetricRegistry.score(res, options);
+        
+        /**
+         * _combineSamples Combine the comparison results of the samples of a symbol in a single result.
+         * @param {Array} samples The comparison results, each one with the confidence of its sample.
          * @param {Object} [options = {}]
+         * @return {Object}
+        */
+        
+        const _combineSamples = (samples, options = {}) => {
+            const {
+                // How to combine the samples of a symbol: "max", "mean", "median" or "confidence" (weighted mean).
+                symbolSamplesStrategy = "median"
+            } = options;
+            const result = {};
+            
+            // The best sample is kept as it is, not mixing the metrics of different samples.
+            if (symbolSamplesStrategy == "max") {
+                const best = samples.reduce((best, sample) => _score(sample, options) > _score(best, options) ? sample : best);
+                
+                for (const metric of _metrics(best))
+                    result[metric] = best[metric];
+                
+                return result;
+            }
+            
+            for (const metric of _metrics(samples[0]))
+            {
+                const values = samples.map((sample) => sample[metric]);
+                
+                if (symbolSamplesStrategy == "median") {
+                    const sorted = values.sort((a, b) => a - b);
+                    const half = sorted.length >> 1;
+                    
+                    result[metric] = sorted.length % 2 ? sorted[half] : (sorted[half - 1] + sorted[half]) / 2;
+                }
+                else if (symbolSamplesStrategy == "confidence") {
+                    const weight = samples.reduce((sum, sample) => sum + sample.confidence, 0);
+                    
+                    result[metric] = weight ? samples.reduce((sum, sample) => sum + sample[metric] * sample.confidence, 0) / weight : values[0];
+                }
+                else {
+                    result[metric] = values.reduce((sum, value) => sum + value, 0) / values.length;
+                }
+            }
+            
+            return result;
+        };
+        
+        /**
+         * _compareSamples Compare every sample of a symbol with the same symbol of a font, computing every weighted metric.
+         * @param {Array} samples The samples of the symbol.
+         * @param {Object} glyph The symbol in the font (see _glyph).
+         * @param {Object} [options = {}]
+         * @param {Function} [limiter = Limiter()] Used to bound the concurrent comparisons.
+         * @return {Promise}
+        */
+        
+        const _compareSamples = (samples, glyph, options = {}, limiter = Limiter()) => {
+            return _normalizeGlyph(glyph, options).then((target) => Promise.all(samples.map((sample) => {
+                return limiter(() => _normalizeGlyph({image: sample.image}, options).then((source) => ComparisonPool.compare(source, target, options)))
+                    .then((res) => Object.assign(res, {confidence: sample.confidence}));
+            }))).then((res) => _combineSamples(res, options));
+        };
+        
+        /**
+         * _compare Compare two lists of symbols using the registered metrics (see MetricRegistry).
+         * @param {Object} first The first list of symbols (the samples of each recognized symbol).
+         * @param {Object} second The variant of the font, its alpha is the second list of symbols.
+         * @param {Object} [options = {}]
+         * @param {Function} [limiter = Limiter()] Used to bound the concurrent comparisons.
          * @return {Promise}
         */
         
-        const _compare = (first, second, options = {}) => {            
+        const _compare = (first, second, options = {}, limiter = Limiter()) => {
+            const {
+                // Used to abort the comparison.
+                signal
+            } = options;
+            
             return new Promise((resolve, reject) => {
                 const todo = Object.keys(first).length;
                 const result = {};
@@ -162,17 +427,15 @@ export const Typefont = (
                 };
                 let done = 0;
                 
+                if (!todo)
+                    return resolve(result);
+                
                 for (const symbol in first)
                 {
-                    Promise.all([
-                        AnalyticPerception(first[symbol], second[symbol], options),
-                        ShapePerception(first[symbol], second[symbol], options)
-                    ]).then((res) => {
-                        finalize(symbol, {
-                            analytic: res[0],
-                            shape: res[1]
-                        });
-                    }).catch(reject);
+                    if (signal && signal.aborted)
+                        return reject(Abort.reason);
+                    
+                    _compareSamples(first[symbol], _glyph(second, symbol), options, limiter).then((res) => finalize(symbol, res)).catch(reject);
                 }
             });
         };
@@ -180,16 +443,17 @@ export const Typefont = (
         /**
          * _average Used to compute the average similarity of a given font comparison result of the _recognize process.
          * @param {Object} res
+         * @param {Object} [options = {}]
          * @return {Number}
         */
         
-        const _average = (res) => {
+        const _average = (res, options = {}) => {
             let calc = 0;
             let ll = 0;
             
             for (const symbol in res)
             {
-                calc += (res[symbol].analytic + res[symbol].shape) / 2;
+                calc += _score(res[symbol], options);
                 ++ll;
             }
             
@@ -197,58 +461,869 @@ export const Typefont = (
         };
         
         /**
-         * _recognize Start the process to recognize the font of a text in a image.
-         * @param {String} url The URL of the image.
+         * _coverage Get the share of the recognized symbols compared with a font.
+         * @param {Object} res The comparison result of each symbol.
+         * @param {Object} symbols The list of recognized symbols.
+         * @return {Number}
+        */
+        
+        const _coverage = (res, symbols) => {
+            const total = Object.keys(symbols).length;
+            
+            return total ? Object.keys(res).length / total : 0;
+        };
+        
+        /**
+         * _similarity Get the final score of a font comparison result: its average similarity lowered by its coverage,
+         * so a font matching only a few of the recognized symbols does not outrank the complete ones.
+         * @param {Object} res The comparison result of each symbol.
+         * @param {Object} symbols The list of recognized symbols.
+         * @param {Object} [options = {}]
+         * @return {Number}
+        */
+        
+        const _similarity = (res, symbols, options = {}) => {
+            const {
+                // The exponent of the coverage in the score, 0 ignores the missing symbols.
+                coverageWeight = 0.5
+            } = options;
+            const coverage = _coverage(res, symbols);
+            
+            return coverage ? _average(res, options) * Math.pow(coverage, coverageWeight) : 0;
+        };
+        
+        /**
+         * _byName Order two fonts by name, used to break the ties of the rankings whatever the order the fonts are loaded in.
+         * @param {Object} a
+         * @param {Object} b
+         * @return {Number}
+        */
+        
+        const _byName = (a, b) => a.name < b.name ? -1 : a.name > b.name ? 1 : 0;
+        
+        /**
+         * _bySimilarity Order two fonts by similarity, then by name.
+         * @param {Object} a
+         * @param {Object} b
+         * @return {Number}
+        */
+        
+        const _bySimilarity = (a, b) => b.similarity - a.similarity || _byName(a, b);
+        
+        /**
+         * _explain Build the per-glyph breakdown of a font comparison result.
+         * @param {Object} symbols The list of recognized symbols (the samples of each symbol).
+         * @param {Object} res The comparison result of each symbol (see _compare).
+         * @param {Object} [options = {}]
+         * @return {Object} Each compared symbol is mapped to {similarity, metrics, samples, confidence}:
+         * the weighted score, the score of each metric, the number of samples and their mean OCR confidence.
+        */
+        
+        const _explain = (symbols, res, options = {}) => {
+            const glyphs = {};
+            
+            for (const symbol in res)
+            {
+                const samples = symbols[symbol];
+                const metrics = {};
+                
+                for (const metric of _metrics(res[symbol]))
+                    metrics[metric] = res[symbol][metric];
+                
+                glyphs[symbol] = {
+                    similarity: _score(res[symbol], options),
+                    metrics,
+                    samples: samples.length,
+                    confidence: samples.reduce((sum, sample) => sum + sample.confidence, 0) / samples.length
+                };
+            }
+            
+            return glyphs;
+        };
+        
+        /**
+         * _overlays Build the overlay images of the compared symbols of a font (see Overlay).
+         * The most confident sample of each symbol is shown.
+         * @param {Object} symbols The list of recognized symbols.
+         * @param {Object} res The comparison result of each symbol.
+         * @param {Object} font The variant of the font.
          * @param {Object} [options = {}]
+         * @param {Function} [limiter = Limiter()] Used to bound the concurrent comparisons.
+         * @return {Promise} Resolved with the overlay images of each symbol.
+        */
+        
+        const _overlays = (symbols, res, font, options = {}, limiter = Limiter()) => {
+            const names = Object.keys(res);
+            
+            return Promise.all(names.map((symbol) => limiter(() => {
+                const sample = symbols[symbol].reduce((best, sample) => sample.confidence > best.confidence ? sample : best);
+                
+                return Promise.all([
+                    _normalizeGlyph({image: sample.image}, options),
+                    _normalizeGlyph({image: font.alpha[symbol]}, options)
+                ]).then((glyphs) => Overlay(glyphs[0], glyphs[1], options));
+            }))).then((overlays) => {
+                const result = {};
+                
+                names.forEach((symbol, i) => result[symbol] = overlays[i]);
+                
+                return result;
+            });
+        };
+        
+        // The symbols whose shape tells the most about a font, in order of importance.
+        const _informative = "gaQRGkyfeKMWJt2375sS";
+        
+        /**
+         * _rank Get the importance of a symbol for the shortlist.
+         * @param {String} symbol
+         * @return {Number}
+        */
+        
+        const _rank = (symbol) => {
+            const index = _informative.indexOf(symbol);
+            
+            return index == -1 ? _informative.length : index;
+        };
+        
+        /**
+         * _screen Cheap score of a font used to shortlist the candidates: the shape similarity of the first sample
+         * of a few high-information symbols.
+         * @param {Object} symbols The list of recognized symbols.
+         * @param {Object} font The variant of the font.
+         * @param {Object} [options = {}]
+         * @param {Function} [limiter = Limiter()] Used to bound the concurrent comparisons.
          * @return {Promise}
         */
         
-        const _recognize = (url, options = {}) => {
+        const _screen = (symbols, font, options = {}, limiter = Limiter()) => {
+            const {
+                // The number of symbols compared to shortlist the fonts.
+                shortlistSymbols = 4
+            } = options;
+            const informative = Object.keys(symbols)
+                .filter((symbol) => font.alpha[symbol])
+                .sort((a, b) => _rank(a) - _rank(b))
+                .slice(0, shortlistSymbols);
+            
+            return Promise.all(informative.map((symbol) => limiter(() => {
+                return Promise.all([
+                    _normalizeGlyph({image: symbols[symbol][0].image}, options),
+                    _normalizeGlyph(_glyph(font, symbol), options)
+                ]).then((res) => ShapePerception(res[0], res[1], options));
+            })))
+                .then((res) => res.length ? res.reduce((sum, value) => sum + value, 0) / res.length : 0);
+        };
+        
+        /**
+         * _shortlist Score every font with the cheap _screen pass and keep the names of the best ones.
+         * The score of a font is the one of its best variant.
+         * @param {Array} fonts The names of the fonts.
+         * @param {Object} symbols The list of recognized symbols.
+         * @param {Function} load Used to load the data of a font by its name, resolved with null for the fonts that can not be loaded.
+         * @param {Object} [options = {}]
+         * @param {Function} [limit = Limiter()] Used to bound the concurrent font requests.
+         * @param {Function} [limiter = Limiter()] Used to bound the concurrent comparisons.
+         * @return {Promise} Resolved with an array of {name, score}.
+        */
+        
+        const _shortlist = (fonts, symbols, load, options = {}, limit = Limiter(), limiter = Limiter()) => {
+            const {
+                // The number of fonts that get the full comparison.
+                shortlistSize = 20
+            } = options;
+            const shortlist = [];
+            
+            return Promise.all(fonts.map((name) => limit(() => {
+                return load(name).then((font) => font && Promise.all(font.variants.map((variant) => _screen(symbols, variant, options, limiter))))
+                    .then((scores) => scores && {name, score: Math.max(...scores)});
+            }).then((entry) => {
+                if (!entry)
+                    return;
+                
+                shortlist.push(entry);
+                shortlist.sort((a, b) => b.score - a.score || _byName(a, b));
+                shortlist.splice(shortlistSize);
+            }))).then(() => shortlist);
+        };
+        
+        /**
+         * _loader Get the function used to load the data of a font by its name.
+         * @param {Object} [options = {}]
+         * @return {Function}
+        */
+        
+        const _loader = (options = {}) => {
             const {
-                // Used as function to invoke each time a font is compared.
-                progress,
                 // The URL of the directory containing the fonts.
                 fontsDirectory = "storage/fonts/",
                 // The name of the file containing the JSON data of a font.
                 fontsData = "data.json"
             } = options;
             
-            return new Promise((resolve, reject) => {
+            return (name) => FontStorage.prepareFont(`${fontsDirectory}${name}/${fontsData}`, options);
+        };
+        
+        /**
+         * _groupFamilies Keep only the most similar font of each family in a sorted ranking, the variants of the family are joined.
+         * @param {Array} ranking
+         * @param {Object} [options = {}]
+         * @return {Array}
+        */
+        
+        const _groupFamilies = (ranking, options = {}) => {
+            const {
+                // Group the fonts of the same family (e.g. the directories of its weights) in a single entry of the ranking?
+                familyGrouping = true
+            } = options;
+            const families = {};
+            
+            if (!familyGrouping)
+                return ranking.slice();
+            
+            return ranking.reduce((result, font) => {
+                const family = families[font.family];
+                
+                if (family)
+                    family.variants = family.variants.concat(font.variants).sort(_bySimilarity);
+                else
+                    result.push(families[font.family] = Object.assign({}, font));
+                
+                return result;
+            }, []);
+        };
+        
+        /**
+         * _verifyWords Re-rank the first fonts of a ranking by rendering the recognized words in them (see WordRendering) and comparing
+         * the whole words with the image (see WordPerception): the spacing, the kerning, the relative heights of the letters and the ligatures
+         * tell apart the close fonts that the single glyphs do not.
+         * Each verified font gets its word similarity, the mean over the words its closest variant can render, and the similarity of each word
+         * ({text, similarity}, with the rendered image when explainOverlays is set), its glyph similarity is left as it is.
+         * The verified fonts are sorted among their places in the ranking by their score, the mix of the two similarities (see wordWeight),
+         * the fonts without glyph metrics are not verified and keep their place. The confidence is calibrated on the same score (see Confidence).
+         * @param {Array} ranking The sorted ranking.
+         * @param {Array} words The recognized words (see _wordsToBase64).
+         * @param {Map} variants The closest variant of each font of the ranking by name.
+         * @param {Object} [options = {}]
+         * @param {Function} [limiter = Limiter()] Used to bound the concurrent comparisons.
+         * @return {Promise} Resolved with the ranking.
+        */
+        
+        const _verifyWords = (ranking, words, variants, options = {}, limiter = Limiter()) => {
+            const {
+                // The number of the first fonts of the ranking verified on the recognized words, 0 disables the verification.
+                wordVerification = 5,
+                // The weight of the word similarity in the order of the verified fonts, the glyph similarity has the rest.
+                wordWeight = 0.5,
+                // Add the rendered words to the result of the verification?
+                explainOverlays = false
+            } = options;
+            const top = ranking.slice(0, wordVerification);
+            const score = (font) => (1 - wordWeight) * font.similarity + wordWeight * font.wordSimilarity;
+            
+            if (!words.length || !top.length)
+                return Promise.resolve(ranking);
+            
+            return Promise.all(top.map((font) => Promise.all(words.map((word) => limiter(() => {
+                return WordRendering(word.text, variants.get(font.name), word.height).then((image) => {
+                    if (!image)
+                        return null;
+                    
+                    return WordPerception.compare(word.image, image, options).then((similarity) => {
+                        return Object.assign({text: word.text, similarity}, explainOverlays ? {image} : {});
+                    });
+                });
+            }))).then((res) => {
+                const verified = res.filter((word) => word);
+                
+                if (!verified.length)
+                    return;
+                
+                font.words = verified;
+                font.wordSimilarity = verified.reduce((sum, word) => sum + word.similarity, 0) / verified.length;
+                font.score = score(font);
+                _emit(options, "font-verified", {name: font.name, font, wordSimilarity: font.wordSimilarity});
+            }))).then(() => {
+                const places = top.map((font, i) => i).filter((i) => top[i].wordSimilarity !== undefined);
+                const sorted = places.map((i) => top[i]).sort((a, b) => b.score - a.score || _byName(a, b));
+                
+                places.forEach((place, i) => ranking[place] = sorted[i]);
+                
+                return ranking;
+            });
+        };
+        
+        /**
+         * _rankFonts Compare a list of recognized symbols with the fonts and sort them by similarity.
+         * Every variant of a font is compared on the recognized symbols it has a glyph for, the font gets the similarity of its closest one
+         * (see _similarity) and the share of the recognized symbols it was compared on, its coverage.
+         * Each font of the ranking has its meta, its family, its similarity, its closest variant and all its variants sorted
+         * by similarity ({name, weight, style, stretch, similarity}), the per-glyph breakdown of the comparison of the closest variant (see _explain),
+         * its calibrated confidence and its margin (see Confidence), the unknown property of the ranking is the unknown font verdict.
+         * The fonts of the same family are grouped (see _groupFamilies).
+         * A font that can not be loaded does not stop the ranking: it is reported in the failures property of the ranking, {name, error}.
+         * Large indexes are searched in two passes: a cheap one (see _screen) that shortlists the candidates
+         * and a full comparison of the shortlisted fonts only. The first fonts of the ranking are then verified on the recognized words
+         * (see _verifyWords).
+         * @param {Object} symbols The list of recognized symbols.
+         * @param {Array} words The recognized words (see _wordsToBase64).
+         * @param {Array} fonts The names of the fonts.
+         * @param {Object} [options = {}]
+         * @param {Function} [limit = Limiter()] Used to bound the concurrent font requests.
+         * @param {Function} [limiter = Limiter()] Used to bound the concurrent comparisons.
+         * @return {Promise} Resolved with the ranking.
+        */
+        
+        const _rankFonts = (symbols, words, fonts, options = {}, limit = Limiter(), limiter = Limiter()) => {
+            const {
+                // Used as function to invoke each time a font is compared.
+                progress,
+                // Indexes with more fonts than this are shortlisted before the full comparison.
+                shortlistSize = 20,
+                // Add the overlay images of the compared symbols to the per-glyph breakdown of each font?
+                explainOverlays = false,
+                // Used to abort the ranking, an aborted request is not a failure of its font.
+                signal
+            } = options;
+            const result = [];
+            const failures = [];
+            const closest = new Map();
+            const loader = _loader(options);
+            const load = (name) => loader(name).catch((err) => {
+                if (signal && signal.aborted)
+                    throw err;
+                
+                failures.push({name, error: String(err)});
+                _emit(options, "font-failed", {name, error: String(err)});
+                
+                return null;
+            });
+            const complete = () => _verifyWords(_groupFamilies(result, options), words, closest, options, limiter).then((ranking) => {
+                return Object.assign(Confidence.calibrate(ranking, options), {failures});
+            });
+            const finalize = (name, val, font, variants, todo, overlays) => {
+                const meta = font.meta || {};
+                
+                meta.similarity = _similarity(val, symbols, options);
+                meta.coverage = _coverage(val, symbols);
+                meta.name = meta.name || name;
+                meta.family = meta.family || meta.name;
+                meta.variants = variants.sort(_bySimilarity);
+                meta.variant = meta.variants[0];
+                meta.glyphs = _explain(symbols, val, options);
+                
+                for (const symbol in overlays)
+                    meta.glyphs[symbol].overlay = overlays[symbol];
+                
+                result.push(meta);
+                
+                if (progress)
+                    progress(name, val, done / todo);
+                
+                result.sort(_bySimilarity);
+                _emit(options, "font-scored", {name, font: meta, similarity: meta.similarity, symbols: val, progress: (done + 1) / todo});
+                _emit(options, "partial-ranking", {ranking: _groupFamilies(result, options)});
+                ++done;
+            };
+            const score = (names) => {
+                return Promise.all(names.map((name) => limit(() => {
+                    return load(name).then((font) => {
+                        if (!font)
+                            return;
+                        
+                        // Each variant is compared on the symbols it has, the missing ones lower its coverage.
+                        return Promise.all(font.variants.map((variant) => _compare(_domain(symbols, variant), variant, options, limiter))).then((res) => {
+                            const similarities = res.map((fin) => _similarity(fin, symbols, options));
+                            const best = similarities.indexOf(Math.max(...similarities));
+                            const variants = font.variants.map((variant, i) => ({
+                                name: (font.meta && font.meta.name) || name,
+                                weight: variant.weight,
+                                style: variant.style,
+                                stretch: variant.stretch,
+                                similarity: similarities[i]
+                            }));
+                            
+                            // The closest variant renders the words of the verification.
+                            if (words.length)
+                                closest.set(variants[best].name, font.variants[best]);
+                            
+                            if (!explainOverlays)
+                                return finalize(name, res[best], font, variants, names.length);
+                            
+                            return _overlays(symbols, res[best], font.variants[best], options, limiter)
+                                .then((overlays) => finalize(name, res[best], font, variants, names.length, overlays));
+                        });
+                    });
+                })));
+            };
+            let done = 0;
+            
+            if (fonts.length <= shortlistSize)
+                return score(fonts).then(complete);
+            
+            return _shortlist(fonts, symbols, load, options, limit, limiter).then((shortlist) => {
+                const names = shortlist.map((entry) => entry.name);
+                
+                _emit(options, "shortlist", {names});
+                
+                return score(names);
+            }).then(complete);
+        };
+        
+        /**
+         * _recognize Start the process to recognize the font of a text in a image.
+         * @param {String|Blob|ImageBitmap|ImageData|Canvas|Buffer} url The URL of the image or the image itself (see ImageSource).
+         * @param {Object} [options = {}]
+         * @return {Promise}
+        */
+        
+        const _recognize = (url, options = {}) => {
+            const {
+                // Used to abort the recognition: the OCR job, the pending font requests and the comparisons are stopped.
+                signal,
+                // The maximum number of fonts requested and compared at the same time.
+                fontConcurrency = 8,
+                // The maximum number of symbol comparisons running at the same time.
+                comparisonConcurrency = 16
+            } = options;
+            
+            return Abort.guard(new Promise((resolve, reject) => {
                 _prepare(url, options).then((res) => {
-                    const fonts = res.fonts.index;
-                    const todo = fonts.length;
-                    const result = [];
                     const symbols = res.recognition.symbolsBase64;
-                    const finalize = (name, val, font) => {
-                        const meta = font.meta || {};
-                        
-                        meta.similarity = _average(val);
-                        meta.name = meta.name || name;
-                        result.push(meta);
-                        
-                        if (progress)
-                            progress(name, val, done / todo);
+                    const words = _wordsToBase64(res.recognition.pivot, res.recognition.words, options);
+                    
+                    return _rankFonts(symbols, words, _candidates(res.fonts, symbols, options), _versioned(options, res.fonts), Limiter(fontConcurrency, signal), Limiter(comparisonConcurrency, signal));
+                }).then(resolve).catch(reject);
+            }), signal);
+        };
+        
+        /**
+         * _union Get the bounding box containing two bounding boxes.
+         * @param {Object} first
+         * @param {Object} second
+         * @return {Object}
+        */
+        
+        const _union = (first, second) => ({
+            x0: Math.min(first.x0, second.x0),
+            y0: Math.min(first.y0, second.y0),
+            x1: Math.max(first.x1, second.x1),
+            y1: Math.max(first.y1, second.y1)
+        });
+        
+        /**
+         * _regions Group the recognized symbols into the regions of the image, in the reading order of the OCR engine.
+         * The symbols without a word, line or block (e.g. given by a basic OCR engine) are grouped in a single region.
+         * @param {Object} recognition The result of the recognition process.
+         * @param {Object} [options = {}]
+         * @return {Array} The regions: {bbox, text, symbols}.
+        */
+        
+        const _regions = (recognition, options = {}) => {
+            const {
+                // The text unit of a region: "block", "line" or "word".
+                segmentationLevel = "line"
+            } = options;
+            const units = {block: recognition.blocks, line: recognition.lines, word: recognition.words};
+            const regions = new Map();
+            
+            if (!units[segmentationLevel])
+                throw `Unknown segmentation level ${segmentationLevel}`;
+            
+            for (const symbol of recognition.symbols)
+            {
+                const line = recognition.lines[symbol.line];
+                const key = segmentationLevel == "word" ? symbol.word : segmentationLevel == "line" ? symbol.line : line ? line.block : -1;
+                const unit = units[segmentationLevel][key];
+                
+                if (!regions.has(key))
+                    regions.set(key, {bbox: Object.assign({}, symbol.bbox), text: unit ? unit.text.trim() : "", symbols: []});
+                
+                const region = regions.get(key);
+                
+                region.bbox = _union(region.bbox, symbol.bbox);
+                region.symbols.push(symbol);
+                
+                if (!unit)
+                    region.text += symbol.text;
+            }
+            
+            return [...regions.values()];
+        };
+        
+        /**
+         * _adjacent Check if two regions are close enough to be merged.
+         * @param {Object} first
+         * @param {Object} second
+         * @param {Number} distance The maximum gap between the regions, relative to the height of the smaller one.
+         * @return {Boolean}
+        */
+        
+        const _adjacent = (first, second, distance) => {
+            const a = first.bbox;
+            const b = second.bbox;
+            const gap = distance * Math.min(a.y1 - a.y0, b.y1 - b.y0);
+            
+            return Math.max(a.x0, b.x0) - Math.min(a.x1, b.x1) <= gap && Math.max(a.y0, b.y0) - Math.min(a.y1, b.y1) <= gap;
+        };
+        
+        /**
+         * _sameFont Check if two fonts of the rankings are the same font in the same variant.
+         * @param {Object} first
+         * @param {Object} second
+         * @return {Boolean}
+        */
+        
+        const _sameFont = (first, second) => ["name", "weight", "style", "stretch"].every((key) => first.variant[key] == second.variant[key]);
+        
+        /**
+         * _mergeRankings Combine the rankings of two regions, the similarity of each font is weighted by the number of samples.
+         * The fonts missing from one of the rankings (e.g. not shortlisted) are dropped, the per-glyph breakdowns are joined.
+         * @param {Object} first
+         * @param {Object} second
+         * @return {Array}
+        */
+        
+        const _mergeRankings = (first, second) => {
+            const weight = first.samples + second.samples;
+            
+            return first.ranking.reduce((ranking, font) => {
+                const other = second.ranking.find((entry) => entry.name == font.name);
+                
+                if (other)
+                    ranking.push(Object.assign({}, font, {
+                        similarity: (font.similarity * first.samples + other.similarity * second.samples) / weight,
+                        coverage: (font.coverage * first.samples + other.coverage * second.samples) / weight,
+                        glyphs: Object.assign({}, other.glyphs, font.glyphs)
+                    }));
+                
+                return ranking;
+            }, []).sort(_bySimilarity);
+        };
+        
+        /**
+         * _mergeRegions Join the adjacent regions that agree on the most similar font and variant.
+         * @param {Array} regions The ranked regions, in reading order.
+         * @param {Object} [options = {}]
+         * @return {Array}
+        */
+        
+        const _mergeRegions = (regions, options = {}) => {
+            const {
+                // The maximum gap between two merged regions, relative to the height of the smaller one.
+                regionMergeDistance = 1
+            } = options;
+            const result = [];
+            
+            for (const region of regions)
+            {
+                const target = result.find((other) => {
+                    return _sameFont(other.ranking[0], region.ranking[0]) && _adjacent(other, region, regionMergeDistance);
+                });
+                
+                if (!target) {
+                    result.push(Object.assign({}, region, {parts: [region]}));
+                    continue;
+                }
+                
+                const last = target.parts[target.parts.length - 1];
+                
+                // The regions of the same line are joined by a space.
+                target.text += `${region.bbox.y0 >= last.bbox.y1 ? "\n" : " "}${region.text}`;
+                target.ranking = Object.assign(Confidence.calibrate(_mergeRankings(target, region), options), {
+                    failures: target.ranking.failures.concat(region.ranking.failures.filter((failure) => {
+                        return !target.ranking.failures.some((other) => other.name == failure.name);
+                    }))
+                });
+                target.bbox = _union(target.bbox, region.bbox);
+                target.samples += region.samples;
+                target.parts.push(region);
+            }
+            
+            return result;
+        };
+        
+        /**
+         * _segment Recognize the font of every region of the text in a image (e.g. a headline and a body in different fonts).
+         * @param {String|Blob|ImageBitmap|ImageData|Canvas|Buffer} url The URL of the image or the image itself (see ImageSource).
+         * @param {Object} [options = {}]
+         * @return {Promise} Resolved with the regions in reading order: {bbox, text, samples, ranking, parts}.
+         * The parts are the merged regions, the samples are the number of compared symbol occurrences.
+        */
+        
+        const _segment = (url, options = {}) => {
+            const {
+                // Used to abort the recognition.
+                signal,
+                // The maximum number of fonts requested and compared at the same time.
+                fontConcurrency = 8,
+                // The maximum number of symbol comparisons running at the same time.
+                comparisonConcurrency = 16,
+                // Join the adjacent regions that agree on the most similar font?
+                regionMerge = true
+            } = options;
+            
+            return Abort.guard(new Promise((resolve, reject) => {
+                _prepare(url, options).then((res) => {
+                    const recognition = res.recognition;
+                    const limit = Limiter(fontConcurrency, signal);
+                    const limiter = Limiter(comparisonConcurrency, signal);
+                    
+                    // The regions without accepted symbols (see minSymbolConfidence) can not be ranked.
+                    const regions = _regions(recognition, options).map((region) => {
+                        const symbols = _symbolsToBase64(recognition.pivot, region.symbols, options);
+                        const samples = Object.keys(symbols).reduce((count, symbol) => count + symbols[symbol].length, 0);
                         
-                        if (++done == todo) {
-                            result.sort((a, b) => b.similarity - a.similarity);
-                            resolve(result);
-                        }
-                    };
-                    let done = 0;
-                    
-                    for (const name of fonts)
-                    {
-                        FontStorage.prepareFont(`${fontsDirectory}${name}/${fontsData}`).then((font) => {
-                            _symbolsToDomain(symbols, font.alpha);
-                            _compare(symbols, font.alpha, options).then((fin) => finalize(name, fin, font)).catch(reject);
-                        }).catch(reject);
-                    }
-                }).catch(reject); 
+                        return {bbox: region.bbox, text: region.text, samples, symbols};
+                    }).filter((region) => region.samples);
+                    
+                    return Promise.all(regions.map((region) => {
+                        // The regions are ranked on their glyphs only, the merged rankings are sorted by the glyph similarity.
+                        return _rankFonts(region.symbols, [], _candidates(res.fonts, region.symbols, options), _versioned(options, res.fonts), limit, limiter).then((ranking) => {
+                            const result = {bbox: region.bbox, text: region.text, samples: region.samples, ranking};
+                            
+                            _emit(options, "region-ranked", {region: result});
+                            
+                            return result;
+                        });
+                    }));
+                }).then((regions) => {
+                    regions = regions.filter((region) => region.ranking.length);
+                    resolve(regionMerge ? _mergeRegions(regions, options) : regions);
+                }).catch(reject);
+            }), signal);
+        };
+        
+        /**
+         * _normalizeFont Normalize every glyph of every variant of a font once, before comparing it with the other fonts.
+         * @param {Object} font
+         * @param {Object} [options = {}]
+         * @param {Function} [limiter = Limiter()] Used to bound the concurrent normalizations.
+         * @return {Promise} Resolved with the variants: {weight, style, stretch, glyphs}, the glyphs are the normalized ones by symbol.
+        */
+        
+        const _normalizeFont = (font, options = {}, limiter = Limiter()) => {
+            return Promise.all(font.variants.map((variant) => {
+                const symbols = Object.keys(variant.alpha);
+                
+                return Promise.all(symbols.map((symbol) => limiter(() => _normalizeGlyph(_glyph(variant, symbol), options)))).then((glyphs) => {
+                    const result = {weight: variant.weight, style: variant.style, stretch: variant.stretch, glyphs: {}};
+                    
+                    symbols.forEach((symbol, i) => result.glyphs[symbol] = glyphs[i]);
+                    
+                    return result;
+                });
+            }));
+        };
+        
+        /**
+         * _compareGlyphs Compare two glyphs both ways and average each metric, some metrics (e.g. the analytic one on glyphs
+         * of different sizes) depend on the order of the glyphs.
+         * @param {Object} first
+         * @param {Object} second
+         * @param {Object} [options = {}]
+         * @param {Function} [limiter = Limiter()] Used to bound the concurrent comparisons.
+         * @return {Promise} Resolved with the similarity percentage of each metric by name.
+        */
+        
+        const _compareGlyphs = (first, second, options = {}, limiter = Limiter()) => {
+            return Promise.all([
+                limiter(() => ComparisonPool.compare(first, second, options)),
+                limiter(() => ComparisonPool.compare(second, first, options))
+            ]).then((res) => {
+                const result = {};
+                
+                for (const metric in res[0])
+                    result[metric] = (res[0][metric] + res[1][metric]) / 2;
+                
+                return result;
+            });
+        };
+        
+        /**
+         * _compareVariants Compare two normalized variants on the symbols they share (see _normalizeFont).
+         * The glyphs are compared both ways (see _compareGlyphs), in the order of the symbols, and the coverage is the share
+         * of the symbols of both variants they share: the score does not depend on the order of the variants.
+         * @param {Object} first
+         * @param {Object} second
+         * @param {Object} [options = {}]
+         * @param {Function} [limiter = Limiter()] Used to bound the concurrent comparisons.
+         * @return {Promise} Resolved with {similarity, coverage}.
+        */
+        
+        const _compareVariants = (first, second, options = {}, limiter = Limiter()) => {
+            const shared = Object.keys(first.glyphs).filter((symbol) => second.glyphs[symbol]).sort();
+            const symbols = Object.assign({}, first.glyphs, second.glyphs);
+            
+            return Promise.all(shared.map((symbol) => _compareGlyphs(first.glyphs[symbol], second.glyphs[symbol], options, limiter))).then((res) => {
+                const result = {};
+                
+                shared.forEach((symbol, i) => result[symbol] = res[i]);
+                
+                return {similarity: _similarity(result, symbols, options), coverage: _coverage(result, symbols)};
             });
         };
         
+        /**
+         * _compareFonts Compare two normalized fonts, their similarity is the one of their closest variants.
+         * @param {Array} first The normalized variants of the first font.
+         * @param {Array} second The normalized variants of the second font.
+         * @param {Object} [options = {}]
+         * @param {Function} [limiter = Limiter()] Used to bound the concurrent comparisons.
+         * @return {Promise} Resolved with {similarity, coverage, reference, variant}: the closest variant of the first font and of the second one.
+        */
+        
+        const _compareFonts = (first, second, options = {}, limiter = Limiter()) => {
+            const pairs = [];
+            const style = (variant) => ({weight: variant.weight, style: variant.style, stretch: variant.stretch});
+            
+            for (const reference of first)
+                for (const variant of second)
+                    pairs.push(_compareVariants(reference, variant, options, limiter).then((res) => Object.assign(res, {reference: style(reference), variant: style(variant)})));
+            
+            return Promise.all(pairs).then((res) => res.reduce((best, pair) => pair.similarity > best.similarity ? pair : best));
+        };
+        
+        /**
+         * _loadFonts Load and normalize the fonts of the index matching the filter, skipping the ones that can not be loaded.
+         * @param {Object} [options = {}]
+         * @param {Function} [limit = Limiter()] Used to bound the concurrent font requests.
+         * @param {Function} [limiter = Limiter()] Used to bound the concurrent normalizations.
+         * @return {Promise} Resolved with {fonts, failures, version}, the fonts are {name, meta, variants} in the order of the index,
+         * the version is the one of the database (see _prepareFonts).
+        */
+        
+        const _loadFonts = (options = {}, limit = Limiter(), limiter = Limiter()) => {
+            const failures = [];
+            
+            return _prepareFonts(options).then((res) => {
+                const loader = _loader(_versioned(options, res));
+                
+                return Promise.all(res.index.map((name) => limit(() => {
+                    return loader(name).then((font) => _normalizeFont(font, options, limiter).then((variants) => ({name, meta: font.meta, variants})));
+                }).catch((err) => {
+                    if (options.signal && options.signal.aborted)
+                        throw err;
+                    
+                    failures.push({name, error: String(err)});
+                    _emit(options, "font-failed", {name, error: String(err)});
+                    
+                    return null;
+                }))).then((fonts) => ({fonts: fonts.filter((font) => font), failures, version: res.version}));
+            });
+        };
+        
+        /**
+         * _similar Find the fonts of the index most similar to a font, e.g. the free alternatives of a face with {fontFilter: {license: "OFL"}}.
+         * The glyphs of the fonts are compared with the registered metrics (see MetricRegistry) on the symbols they share.
+         * @param {String} name The name of the font, it is loaded even when the filter excludes it.
+         * @param {Object} [options = {}]
+         * @return {Promise} Resolved with the most similar fonts, sorted, each with its meta, similarity, coverage,
+         * its closest variant and the closest variant of the given font (reference). The failures property lists the fonts that can not be loaded.
+        */
+        
+        const _similar = (name, options = {}) => {
+            const {
+                // The number of similar fonts.
+                similarFonts = 10,
+                // Used to abort the search.
+                signal,
+                // The maximum number of fonts requested and compared at the same time.
+                fontConcurrency = 8,
+                // The maximum number of symbol comparisons running at the same time.
+                comparisonConcurrency = 16
+            } = options;
+            const limit = Limiter(fontConcurrency, signal);
+            const limiter = Limiter(comparisonConcurrency, signal);
+            
+            return Abort.guard(new Promise((resolve, reject) => {
+                // The font is loaded once the version of the database is known.
+                _loadFonts(options, limit, limiter).then((fonts) => {
+                    return _loader(_versioned(options, fonts))(name).then((font) => _normalizeFont(font, options, limiter)).then((variants) => [variants, fonts]);
+                }).then((res) => {
+                    const fonts = res[1].fonts.filter((font) => font.name != name);
+                    
+                    return Promise.all(fonts.map((font) => limit(() => _compareFonts(res[0], font.variants, options, limiter)).then((similarity) => {
+                        return Object.assign({}, font.meta, {name: (font.meta && font.meta.name) || font.name}, similarity);
+                    }))).then((ranking) => Object.assign(ranking.sort(_bySimilarity).slice(0, similarFonts), {failures: res[1].failures}));
+                }).then(resolve).catch(reject);
+            }), signal);
+        };
+        
+        /**
+         * _matrix Compare every pair of fonts of the index matching the filter, e.g. to find the redundant fonts of the database.
+         * Every font is loaded and normalized once, the memory grows with the size of the index.
+         * @param {Object} [options = {}]
+         * @return {Promise} Resolved with {fonts, similarity, coverage, failures}: the names of the fonts and the symmetric matrices of their
+         * similarity and coverage, in the order of the names (a font is 100 similar to itself).
+        */
+        
+        const _matrix = (options = {}) => {
+            const {
+                // Used to abort the comparisons.
+                signal,
+                // The maximum number of fonts requested at the same time.
+                fontConcurrency = 8,
+                // The maximum number of symbol comparisons running at the same time.
+                comparisonConcurrency = 16
+            } = options;
+            const limiter = Limiter(comparisonConcurrency, signal);
+            
+            return Abort.guard(new Promise((resolve, reject) => {
+                _loadFonts(options, Limiter(fontConcurrency, signal), limiter).then((res) => {
+                    const fonts = res.fonts;
+                    const similarity = fonts.map(() => fonts.map(() => 100));
+                    const coverage = fonts.map(() => fonts.map(() => 1));
+                    const pairs = [];
+                    
+                    fonts.forEach((first, i) => fonts.slice(i + 1).forEach((second, k) => {
+                        const j = i + 1 + k;
+                        
+                        pairs.push(_compareFonts(first.variants, second.variants, options, limiter).then((pair) => {
+                            similarity[i][j] = similarity[j][i] = pair.similarity;
+                            coverage[i][j] = coverage[j][i] = pair.coverage;
+                        }));
+                    }));
+                    
+                    return Promise.all(pairs).then(() => ({fonts: fonts.map((font) => font.name), similarity, coverage, failures: res.failures}));
+                }).then(resolve).catch(reject);
+            }), signal);
+        };
+        
+        /**
+         * _stream Start the recognition process and get its events as an async iterator.
+         * The last event is "done" {ranking}, stopping the iteration early aborts the process.
+         * @param {String|Blob|ImageBitmap|ImageData|Canvas|Buffer} url The URL of the image or the image itself (see ImageSource).
+         * @param {Object} [options = {}]
+         * @return {EventStream}
+        */
+        
+        const _stream = (url, options = {}) => {
+            const controller = Abort.link(options.signal);
+            const stream = new EventStream(() => controller.abort());
+            const onEvent = (event) => {
+                if (options.onEvent)
+                    options.onEvent(event);
+                
+                stream.push(event);
+            };
+            
+            _recognize(url, Object.assign({}, options, {signal: controller.signal, onEvent})).then((ranking) => {
+                stream.push({type: "done", ranking});
+                stream.end();
+            }).catch((err) => stream.fail(err)).then(() => Abort.release(controller));
+            
+            return stream;
+        };
+        
         // Return the public context.
-        return (url, options) => _recognize(url, options);
+        return Object.assign((url, options) => _recognize(url, options), {
+            stream: (url, options) => _stream(url, options),
+            segment: (url, options) => _segment(url, options),
+            fonts: (options) => _fonts(options),
+            similar: (name, options) => _similar(name, options),
+            matrix: (options) => _matrix(options)
+        });
     }
 
 ());
\ No newline at end of file
@@ -0,0 +1,131 @@
+/**
+ * @module NodePlatform Used to build a Platform adapter for Node.js.
+ * Usage: Platform.use(NodePlatform({canvas: require("canvas"), Jimp: require("jimp"), Tesseract: require("tesseract.js")}))
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+import fs from "fs";
+import path from "path";
+import {Abort} from "../utils/abort.js";
+
+export const NodePlatform = (
+
+    function (undefined)
+    {
+        /**
+         * _isRemote Check if a string is an HTTP(S) URL.
+         * @param {String} url
+         * @return {Boolean}
+        */
+        
+        const _isRemote = (url) => /^https?:\/\//i.test(url);
+        
+        /**
+         * _isDataURL Check if a string is a data URL.
+         * @param {String} url
+         * @return {Boolean}
+        */
+        
+        const _isDataURL = (url) => typeof url == "string" && !url.indexOf("data:");
+        
+        /**
+         * _dataURLToBuffer Decode the payload of a base64 data URL.
+         * @param {String} url
+         * @return {Buffer}
+        */
+        
+        const _dataURLToBuffer = (url) => Buffer.from(url.substr(url.indexOf(",") + 1), "base64");
+        
+        /**
+         * _request Read a file from the file system (or from the network for HTTP URLs).
+         * A missing file is reported with the 404 status, as a web server would do.
+         * @param {String} root The directory used to resolve relative paths.
+         * @param {String} url
+         * @param {Object} [options = {}]
+         * @return {Promise}
+        */
+        
+        const _request = (root, url, options = {}) => {
+            const {
+                timeout = 0,
+                signal
+            } = options;
+            const controller = Abort.link(signal);
+            const fail = () => Promise.reject(signal && signal.aborted ? Abort.reason : `Unable to open ${url}`);
+            
+            if (_isRemote(url)) {
+                const timer = timeout ? setTimeout(() => controller.abort(), timeout) : undefined;
+                
+                return fetch(url, {signal: controller.signal})
+                    .then((res) => res.text().then((text) => ({status: res.status, text})))
+                    .catch(fail)
+                    .finally(() => {
+                        clearTimeout(timer);
+                        Abort.release(controller);
+                    });
+            }
+            
+            return new Promise((resolve, reject) => {
+                fs.readFile(path.resolve(root, url), {encoding: "utf8", signal: controller.signal}, (err, text) => {
+                    Abort.release(controller);
+                    
+                    if (!err)
+                        resolve({status: 200, text});
+                    else if (err.code == "ENOENT")
+                        resolve({status: 404, text: ""});
+                    else
+                        fail().catch(reject);
+                });
+            });
+        };
+        
+        /**
+         * _create Build the adapter.
+         * @param {Object} modules
+         * @param {Object} modules.canvas The node-canvas module (createCanvas, loadImage).
+         * @param {Object} modules.Jimp The Jimp module.
+         * @param {Object} modules.Tesseract The Tesseract.js module.
+         * @param {String} [modules.root = process.cwd()] The directory used to resolve relative paths.
+         * @return {Object}
+        */
+        
+        const _create = (modules) => {
+            const {
+                canvas,
+                Jimp,
+                Tesseract,
+                root = process.cwd()
+            } = modules;
+            
+            return {
+                createCanvas: (width = 0, height = 0) => canvas.createCanvas(width, height),
+                loadImage: (src) => {
+                    // Local paths are resolved against the root, Buffers and data URLs are loaded as they are.
+                    if (typeof src == "string" && !_isDataURL(src) && !_isRemote(src))
+                        src = path.resolve(root, src);
+                    else if (src instanceof ArrayBuffer)
+                        src = Buffer.from(src);
+                    else if (ArrayBuffer.isView(src) && !Buffer.isBuffer(src))
+                        src = Buffer.from(src.buffer, src.byteOffset, src.byteLength);
+                    
+                    return canvas.loadImage(src).catch(() => Promise.reject(`Unable to load ${typeof src == "string" ? src : "the image buffer"}`));
+                },
+                request: (url, options) => _request(root, url, options),
+                // Jimp does not read ArrayBuffers under Node.js.
+                Jimp: Jimp && class extends Jimp {
+                    static read (src) {
+                        return Jimp.read(src instanceof ArrayBuffer ? Buffer.from(src) : src);
+                    }
+                },
+                // Tesseract.js does not read data URLs under Node.js.
+                Tesseract: Tesseract && Object.assign(Object.create(Tesseract), {
+                    recognize: (image, options) => Tesseract.recognize(_isDataURL(image) ? _dataURLToBuffer(image) : image, options)
+                })
+            };
+        };
+        
+        // Return the public context.
+        return (modules) => _create(modules);
+    }
+
+());
\ No newline at end of file
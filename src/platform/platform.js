@@ -0,0 +1,104 @@
+/**
+ * @module Platform Used to access the canvas, image loading, file requests and libraries of the host environment.
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+import {Abort} from "../utils/abort.js";
+
+export const Platform = (
+
+    function (undefined)
+    {
+        /**
+         * _browser The default adapter, based on the DOM and XMLHttpRequest.
+         * Jimp and Tesseract are read from the global scope when not given.
+        */
+        
+        const _browser = {
+            createCanvas: (width, height) => {
+                const canvas = document.createElement("canvas");
+                
+                if (width !== undefined) {
+                    canvas.width = width;
+                    canvas.height = height;
+                }
+                
+                return canvas;
+            },
+            loadImage: (src) => {
+                return new Promise((resolve, reject) => {
+                    const image = document.createElement("img");
+                    
+                    image.onload = () => resolve(image);
+                    image.onerror = image.onabort = () => reject(`Unable to load ${src}`);
+                    image.src = src;
+                });
+            },
+            request: (url, options = {}) => {
+                const {
+                    // Used as request timeout [ms].
+                    timeout = 0,
+                    // Used to abort the request.
+                    signal
+                } = options;
+                
+                return new Promise((resolve, reject) => {
+                    const xhr = new XMLHttpRequest();
+                    const abort = () => xhr.abort();
+                    
+                    if (signal)
+                        signal.addEventListener("abort", abort);
+                    
+                    // The listener is removed once the request is settled.
+                    xhr.onloadend = () => {
+                        if (signal)
+                            signal.removeEventListener("abort", abort);
+                    };
+                    xhr.open("GET", url);
+                    xhr.timeout = timeout;
+                    xhr.onload = (e) => resolve({
+                        status: e.target.status,
+                        text: e.target.responseText
+                    });
+                    xhr.onerror = xhr.onabort = xhr.ontimeout = () => reject(signal && signal.aborted ? Abort.reason : `Unable to open ${url}`);
+                    xhr.send();
+                });
+            }
+        };
+        
+        let _adapter = _browser;
+        
+        /**
+         * _use Install an adapter, the missing members are taken from the browser adapter.
+         * An adapter can define: createCanvas(width, height), loadImage(src), request(url, {timeout, signal}), Jimp, Tesseract.
+         * @param {Object} [adapter = {}]
+        */
+        
+        const _use = (adapter = {}) => {
+            _adapter = Object.assign({}, _browser, adapter);
+        };
+        
+        /**
+         * _library Get a library from the adapter or from the global scope.
+         * @param {String} name
+         * @return {Object}
+        */
+        
+        const _library = (name) => _adapter[name] || globalThis[name];
+        
+        // Return the public context.
+        return {
+            use: (adapter) => _use(adapter),
+            createCanvas: (width, height) => _adapter.createCanvas(width, height),
+            loadImage: (src) => _adapter.loadImage(src),
+            request: (url, options) => _adapter.request(url, options),
+            get Jimp () {
+                return _library("Jimp");
+            },
+            get Tesseract () {
+                return _library("Tesseract");
+            }
+        };
+    }
+
+());
\ No newline at end of file
@@ -0,0 +1,163 @@
+/**
+ * @module Charsets Used to describe the character sets recognized by the OCR engine and rendered in the fonts database.
+ * A character set is a name or a list of names ("latin+greek" or ["latin", "greek"]) of: latin (the basic letters and the digits),
+ * punctuation, latin-extended (the accented letters), greek and cyrillic.
+ * A symbol is a grapheme, possibly made of several code points, and is keyed in the NFC form.
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+export const Charsets = (
+
+    function (undefined)
+    {
+        // The character sets by name: their symbols and the Tesseract languages recognizing them.
+        const _charsets = {
+            "latin": {
+                symbols: "aAbBcCdDeEfFgGhHiIjJkKlLmMnNoOpPqQrRsStTuUvVwWxXyYzZ0123456789",
+                languages: ["eng"]
+            },
+            "punctuation": {
+                symbols: ".,:;!?¡¿'\"‘’“”«»()[]{}-–—&@#%*/\\+=<>$€£§",
+                languages: []
+            },
+            "latin-extended": {
+                symbols: "àáâãäåāăąæçćĉċčďđèéêëēĕėęěĝğġģĥħìíîïĩīĭįıĵķĺļľŀłñńņňòóôõöøōŏőœŕŗřśŝşšșţťțùúûüũūŭůűųŵýÿŷźżžßðþ" +
+                    "ÀÁÂÃÄÅĀĂĄÆÇĆĈĊČĎĐÈÉÊËĒĔĖĘĚĜĞĠĢĤĦÌÍÎÏĨĪĬĮİĴĶĹĻĽĿŁÑŃŅŇÒÓÔÕÖØŌŎŐŒŔŖŘŚŜŞŠȘŢŤȚÙÚÛÜŨŪŬŮŰŲŴÝŸŶŹŻŽÐÞ",
+                languages: ["deu", "fra", "spa", "por", "ita", "pol", "ces", "tur"]
+            },
+            "greek": {
+                symbols: "ΑΒΓΔΕΖΗΘΙΚΛΜΝΞΟΠΡΣΤΥΦΧΨΩαβγδεζηθικλμνξοπρσςτυφχψωάέήίόύώΆΈΉΊΌΎΏϊϋΐΰΪΫ",
+                languages: ["ell"]
+            },
+            "cyrillic": {
+                symbols: "АБВГДЕЁЖЗИЙКЛМНОПРСТУФХЦЧШЩЪЫЬЭЮЯабвгдеёжзийклмнопрстуфхцчшщъыьэюяІіЇїЄєҐґЎў",
+                languages: ["rus", "ukr"]
+            }
+        };
+        
+        // The number of glyphs of a script a font needs to cover it, a few Greek letters of a Latin font (e.g. Ω, π) do not count.
+        const _covered = 10;
+        
+        // The scripts told apart, in the Unicode Script property naming. The other symbols (digits, punctuation) are Common.
+        const _scripts = ["Latin", "Greek", "Cyrillic", "Armenian", "Georgian", "Hebrew", "Arabic", "Devanagari", "Thai", "Hangul", "Hiragana", "Katakana", "Han"]
+            .map((script) => [script, new RegExp(`\\p{Script=${script}}`, "u")]);
+        
+        /**
+         * _names Read the names of a character set.
+         * @param {String|Array} charset
+         * @return {Array}
+        */
+        
+        const _names = (charset) => {
+            const names = Array.isArray(charset) ? charset : String(charset).split("+");
+            
+            for (const name of names)
+                if (!_charsets[name])
+                    throw `Unknown character set ${name}`;
+            
+            return names;
+        };
+        
+        /**
+         * _key Get the key of a symbol in the recognized symbols and in the fonts database, its NFC form.
+         * @param {String} symbol
+         * @return {String}
+        */
+        
+        const _key = (symbol) => symbol.normalize("NFC");
+        
+        /**
+         * _graphemes Split a text in graphemes, the user-perceived characters (code points without Intl.Segmenter).
+         * @param {String} text
+         * @return {Array}
+        */
+        
+        const _graphemes = (text) => {
+            if (typeof Intl == "undefined" || !Intl.Segmenter)
+                return Array.from(text);
+            
+            return Array.from(new Intl.Segmenter(undefined, {granularity: "grapheme"}).segment(text), (segment) => segment.segment);
+        };
+        
+        /**
+         * _symbols Get the symbols of a character set.
+         * @param {String|Array} [charset = "latin"]
+         * @return {Array}
+        */
+        
+        const _symbols = (charset = "latin") => {
+            const symbols = [];
+            
+            for (const name of _names(charset))
+                for (const symbol of _graphemes(_charsets[name].symbols))
+                    if (symbols.indexOf(symbol) == -1)
+                        symbols.push(symbol);
+            
+            return symbols;
+        };
+        
+        /**
+         * _language Get the Tesseract languages recognizing a character set, e.g. "eng+rus+ukr".
+         * @param {String|Array} [charset = "latin"]
+         * @return {String}
+        */
+        
+        const _language = (charset = "latin") => {
+            const languages = [];
+            
+            for (const name of _names(charset))
+                for (const language of _charsets[name].languages)
+                    if (languages.indexOf(language) == -1)
+                        languages.push(language);
+            
+            return (languages.length ? languages : _charsets.latin.languages).join("+");
+        };
+        
+        /**
+         * _script Get the script of a symbol, Common for the symbols of no particular script.
+         * @param {String} symbol
+         * @return {String}
+        */
+        
+        const _script = (symbol) => {
+            const script = _scripts.find((entry) => entry[1].test(symbol));
+            
+            return script ? script[0] : "Common";
+        };
+        
+        /**
+         * _scriptsOf Get the scripts of some symbols, sorted, without Common.
+         * @param {Array} symbols
+         * @param {Number} [minimum = 1] The number of symbols a script needs to be counted.
+         * @return {Array}
+        */
+        
+        const _scriptsOf = (symbols, minimum = 1) => {
+            const counts = {};
+            
+            for (const symbol of symbols)
+            {
+                const script = _script(symbol);
+                
+                if (script != "Common")
+                    counts[script] = (counts[script] || 0) + 1;
+            }
+            
+            return Object.keys(counts).filter((script) => counts[script] >= minimum).sort();
+        };
+        
+        // Return the public context.
+        return {
+            names: Object.keys(_charsets),
+            key: (symbol) => _key(symbol),
+            graphemes: (text) => _graphemes(text),
+            symbols: (charset) => _symbols(charset),
+            whitelist: (charset) => _symbols(charset).join(""),
+            language: (charset) => _language(charset),
+            script: (symbol) => _script(symbol),
+            scripts: (symbols) => _scriptsOf(symbols),
+            covered: (symbols) => _scriptsOf(symbols, _covered)
+        };
+    }
+
+());
\ No newline at end of file
@@ -0,0 +1,63 @@
+/**
+ * @module StubEngine Deterministic OCR engine driven by a fixture, used to run the pipeline offline.
+ * The fixture has the structure of an engine result (see OpticalRecognition).
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+import {Platform} from "../../platform/platform.js";
+import {Abort} from "../../utils/abort.js";
+
+export const StubEngine = (
+
+    function (undefined)
+    {
+        /**
+         * _load Get the fixture, fetching it if a URL is given.
+         * @param {Object|String} fixture The fixture or the URL of its JSON file.
+         * @return {Promise}
+        */
+        
+        const _load = (fixture) => {
+            if (typeof fixture != "string")
+                return Promise.resolve(fixture);
+            
+            return new Promise((resolve, reject) => {
+                Platform.request(fixture).then((res) => {
+                    if (res.status == 404)
+                        return reject(`Unable to open ${fixture}`);
+                    
+                    try {
+                        resolve(JSON.parse(res.text));
+                    }
+                    catch (ex) {
+                        reject(`Unable to parse ${fixture} content`);
+                    }
+                }).catch(reject);
+            });
+        };
+        
+        /**
+         * _create Build an engine that always recognizes the fixture, whatever the image.
+         * The symbols outside the whitelist are filtered out and the aborted recognitions are rejected like a real engine would do.
+         * @param {Object|String} fixture The fixture or the URL of its JSON file.
+         * @return {Object}
+        */
+        
+        const _create = (fixture) => ({
+            recognize: (url, options = {}) => {
+                const {
+                    whitelist,
+                    signal
+                } = options;
+                
+                return Abort.guard(_load(fixture).then((res) => Object.assign({}, res, {
+                    symbols: res.symbols.filter((symbol) => !whitelist || whitelist.indexOf(symbol.text) != -1)
+                })), signal);
+            }
+        });
+        
+        // Return the public context.
+        return (fixture) => _create(fixture);
+    }
+
+());
\ No newline at end of file
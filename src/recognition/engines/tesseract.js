@@ -0,0 +1,184 @@
+/**
+ * @module TesseractEngine OCR engine adapter for Tesseract.js (the default engine).
+ * Both the current API (createWorker, version 5 and later) and the version 1 one (create) are supported,
+ * each recognition runs in its own worker.
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+import {Platform} from "../../platform/platform.js";
+import {Abort} from "../../utils/abort.js";
+
+export const TesseractEngine = (
+
+    function (undefined)
+    {
+        /**
+         * _normalizeBox Copy a Tesseract bounding box.
+         * @param {Object} bbox
+         * @return {Object}
+        */
+        
+        const _normalizeBox = (bbox) => ({
+            x0: bbox.x0,
+            y0: bbox.y0,
+            x1: bbox.x1,
+            y1: bbox.y1
+        });
+        
+        /**
+         * _normalize Turn a Tesseract result into the engine result structure.
+         * The word, line and block of a symbol are referenced by their index.
+         * @param {Object} res The Tesseract result.
+         * @return {Object}
+        */
+        
+        const _normalize = (res) => {
+            const blocks = res.blocks || [];
+            const lines = res.lines || [];
+            const words = res.words || [];
+            const symbols = res.symbols || [];
+            
+            return {
+                text: res.text,
+                confidence: res.confidence,
+                symbols: symbols.map((symbol) => ({
+                    text: symbol.text,
+                    confidence: symbol.confidence,
+                    bbox: _normalizeBox(symbol.bbox),
+                    word: words.indexOf(symbol.word),
+                    line: symbol.word ? lines.indexOf(symbol.word.line) : -1
+                })),
+                words: words.map((word) => ({
+                    text: word.text,
+                    confidence: word.confidence,
+                    bbox: _normalizeBox(word.bbox),
+                    line: lines.indexOf(word.line)
+                })),
+                lines: lines.map((line) => ({
+                    text: line.text,
+                    confidence: line.confidence,
+                    bbox: _normalizeBox(line.bbox),
+                    block: blocks.indexOf(line.block)
+                })),
+                blocks: blocks.map((block) => ({
+                    text: block.text,
+                    confidence: block.confidence,
+                    bbox: _normalizeBox(block.bbox)
+                }))
+            };
+        };
+        
+        /**
+         * _flatten Turn the blocks of a current Tesseract.js result into the lists of the version 1 one (see _normalize).
+         * The symbols, words and lines reference their word, line and block.
+         * @param {Object} page The data of the result.
+         * @return {Object}
+        */
+        
+        const _flatten = (page) => {
+            const result = {text: page.text, confidence: page.confidence, blocks: [], lines: [], words: [], symbols: []};
+            
+            for (const block of page.blocks || [])
+            {
+                result.blocks.push(block);
+                
+                for (const paragraph of block.paragraphs || [])
+                    for (const line of paragraph.lines || [])
+                    {
+                        result.lines.push(Object.assign({}, line, {block}));
+                        
+                        for (const word of line.words || [])
+                        {
+                            const item = Object.assign({}, word, {line: result.lines[result.lines.length - 1]});
+                            
+                            result.words.push(item);
+                            (word.symbols || []).forEach((symbol) => result.symbols.push(Object.assign({}, symbol, {word: item})));
+                        }
+                    }
+            }
+            
+            return result;
+        };
+        
+        /**
+         * _worker Start a Tesseract.js worker for a recognition.
+         * @param {Object} Tesseract The Tesseract.js module.
+         * @param {String} lang
+         * @param {String} whitelist
+         * @return {Object} {recognize, terminate}: recognize(url) returns a Promise resolved with the result in the version 1 structure.
+        */
+        
+        const _worker = (Tesseract, lang, whitelist) => {
+            if (typeof Tesseract.createWorker == "function") {
+                const ready = Promise.resolve(Tesseract.createWorker(lang)).then((worker) => {
+                    return worker.setParameters({tessedit_char_whitelist: whitelist}).then(() => worker);
+                });
+                let stopped = false;
+                
+                // A worker terminated while loading does not start the job.
+                return {
+                    recognize: (url) => ready.then((worker) => {
+                        if (stopped)
+                            throw "The Tesseract worker is terminated";
+                        
+                        return worker.recognize(url, {}, {text: true, blocks: true});
+                    }).then((res) => _flatten(res.data)),
+                    terminate: () => {
+                        stopped = true;
+                        ready.then((worker) => worker.terminate(), () => {});
+                    }
+                };
+            }
+            
+            const worker = Tesseract.create();
+            
+            return {
+                recognize: (url) => Promise.resolve(worker.recognize(url, {lang, tessedit_char_whitelist: whitelist})),
+                terminate: () => worker.terminate()
+            };
+        };
+        
+        /**
+         * _recognize Recognize the text in a image.
+         * @param {String} url The URL of the image to recognize.
+         * @param {Object} [options = {}]
+         * @param {String} [options.lang] The Tesseract language.
+         * @param {String} [options.whitelist] The symbols allowed in the result.
+         * @param {AbortSignal} [options.signal] Terminates the worker of the recognition when aborted.
+         * @return {Promise}
+        */
+        
+        const _recognize = (url, options = {}) => {
+            const {
+                lang = "eng",
+                whitelist,
+                signal
+            } = options;
+            
+            return new Promise((resolve, reject) => {
+                const worker = _worker(Platform.Tesseract, lang, whitelist);
+                const job = worker.recognize(url);
+                let terminated = false;
+                const terminate = () => {
+                    if (!terminated) {
+                        terminated = true;
+                        worker.terminate();
+                    }
+                };
+                
+                // The worker is not needed anymore once the job is settled or aborted.
+                job.then(terminate, terminate);
+                
+                Abort.guard(job, signal, terminate)
+                    .then((res) => resolve(_normalize(res)))
+                    .catch(reject);
+            });
+        };
+        
+        // Return the public context.
+        return {
+            recognize: (url, options) => _recognize(url, options)
+        };
+    }
+
+());
\ No newline at end of file
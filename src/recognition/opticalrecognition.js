@@ -3,27 +3,71 @@
  * @author Vasile Pește <sirvasile@protonmail.ch>
 */
 
+import {TesseractEngine} from "./engines/tesseract.js";
+import {Charsets} from "./charsets.js";
+import {Abort} from "../utils/abort.js";
+
 export const OpticalRecognition = (
 
     function (undefined)
     {
+        // The symbols the OCR engine is allowed to recognize by default, also used to render the fonts database.
+        const _whitelist = Charsets.whitelist("latin");
+        
         /**
          * _recognize Recognize the text in a image.
+         * An OCR engine is an object with a recognize(url, {lang, whitelist, signal}) method returning a Promise resolved with:
+         * {
+         *     "text": "...",
+         *     "symbols": [
+         *         {"text": "a", "confidence": 90, "bbox": {"x0": 0, "y0": 0, "x1": 10, "y1": 12}, "word": 0, "line": 0},
+         *         ...
+         *     ],
+         *     "words": [{"text": "...", "confidence": 90, "bbox": {...}, "line": 0}, ...],
+         *     "lines": [{"text": "...", "confidence": 90, "bbox": {...}, "block": 0}, ...],
+         *     "blocks": [{"text": "...", "confidence": 90, "bbox": {...}}, ...]
+         * }
+         * The words, the lines and the blocks are optional. The engine should stop its job when the signal is aborted.
          * @param {String} url The URL of the image to recognize.
+         * @param {Object} [options = {}]
          * @return {Promise}
         */
         
-        const _recognize = (url) => {
-            const options = {
-                lang: "eng",
-                tessedit_char_whitelist: "aAbBcCdDeEfFgGhHiIjJkKlLmMnNoOpPqQrRsStTuUvVwWxXyYzZ0123456789"
-            };
+        const _recognize = (url, options = {}) => {
+            const {
+                // The character set of the text, e.g. "latin+latin-extended+punctuation" (see Charsets).
+                ocrCharset = "latin"
+            } = options;
             
-            return Tesseract.recognize(url, options);
+            // The defaults of an unknown character set throw inside the Promise, the recognition is rejected.
+            return new Promise((resolve, reject) => {
+                const {
+                    // The OCR engine adapter.
+                    ocrEngine = TesseractEngine,
+                    // The language of the text, by default the languages recognizing the character set.
+                    ocrLanguage = Charsets.language(ocrCharset),
+                    // The symbols the OCR engine is allowed to recognize, by default the ones of the character set.
+                    ocrWhitelist = Charsets.whitelist(ocrCharset),
+                    // Used to abort the recognition.
+                    signal
+                } = options;
+                
+                Abort.guard(ocrEngine.recognize(url, {lang: ocrLanguage, whitelist: ocrWhitelist, signal}), signal).then((res) => {
+                    if (!res || !Array.isArray(res.symbols))
+                        return reject("The OCR engine result does not meet the established format");
+                    
+                    res.words = res.words || [];
+                    res.lines = res.lines || [];
+                    res.blocks = res.blocks || [];
+                    resolve(res);
+                }).catch(reject);
+            });
         };
         
         // Return the public context.
-        return (url) => _recognize(url);
+        return Object.assign((url, options) => _recognize(url, options), {
+            whitelist: _whitelist
+        });
     }
 
 ());
\ No newline at end of file
@@ -0,0 +1,155 @@
+/**
+ * @module HtmlReport Used to render a ranking as a self-contained HTML report, explaining why each font was suggested.
+ * Usage: HtmlReport(await Typefont(url, {explainOverlays: true}), {title: "..."})
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+import {Overlay} from "../image/overlay.js";
+
+export const HtmlReport = (
+
+    function (undefined)
+    {
+        // The style of the report, inlined to keep it self-contained.
+        const _style = `
+            body {font-family: sans-serif; margin: 2em; color: #222;}
+            section {margin-bottom: 2em;}
+            h2 small {color: #777; font-weight: normal;}
+            table {border-collapse: collapse;}
+            th, td {border: 1px solid #ddd; padding: 4px 8px; text-align: right;}
+            th:first-child, td:first-child {text-align: center;}
+            td img {width: 48px; height: 48px; image-rendering: pixelated; border: 1px solid #eee; margin: 0 2px;}
+            .words img {height: 24px; vertical-align: middle; border: 1px solid #eee; margin: 0 4px;}
+            .legend span {display: inline-block; width: 1em; height: 1em; vertical-align: middle; margin: 0 4px 0 12px;}
+        `;
+        
+        /**
+         * _escape Escape the HTML special characters of a value.
+         * @param {*} value
+         * @return {String}
+        */
+        
+        const _escape = (value) => String(value).replace(/[&<>"']/g, (ch) => `&#${ch.charCodeAt(0)};`);
+        
+        /**
+         * _safeUrl Check if a URL can be linked from the report: only the http(s) ones, the meta of a font must not run scripts (e.g. javascript: URLs).
+         * @param {*} url
+         * @return {Boolean}
+        */
+        
+        const _safeUrl = (url) => /^https?:\/\//i.test(String(url).trim());
+        
+        /**
+         * _percent Format a similarity percentage.
+         * @param {Number} value
+         * @return {String}
+        */
+        
+        const _percent = (value) => `${value.toFixed(1)}%`;
+        
+        /**
+         * _variantStyle Describe the style of a font variant, e.g. "700 italic".
+         * @param {Object} variant
+         * @return {String}
+        */
+        
+        const _variantStyle = (variant) => [variant.weight, variant.style, variant.stretch].filter((value) => value != "normal").join(" ");
+        
+        /**
+         * _legend Render the legend of the diff colors (see Overlay).
+         * @return {String}
+        */
+        
+        const _legend = () => {
+            const color = (name) => `<span style="background: rgb(${Overlay.colors[name].join(", ")})"></span>`;
+            
+            return `<p class="legend">Diff:${color("both")}common ink${color("query")}image only${color("glyph")}font only</p>`;
+        };
+        
+        /**
+         * _font Render the section of a font of the ranking.
+         * @param {Object} font The font of the ranking (meta, similarity, per-glyph breakdown and verified words).
+         * @param {Number} position
+         * @return {String}
+        */
+        
+        const _font = (font, position) => {
+            const glyphs = font.glyphs || {};
+            const symbols = Object.keys(glyphs).sort((a, b) => glyphs[b].similarity - glyphs[a].similarity);
+            const metrics = [...new Set(symbols.reduce((names, symbol) => names.concat(Object.keys(glyphs[symbol].metrics)), []))];
+            const overlays = symbols.some((symbol) => glyphs[symbol].overlay);
+            const details = ["author", "license"].filter((key) => font[key]).map((key) => `${key}: ${_escape(font[key])}`).join(", ");
+            const name = font.uri && _safeUrl(font.uri) ? `<a href="${_escape(String(font.uri).trim())}">${_escape(font.name)}</a>` : _escape(font.name);
+            const variants = (font.variants || []).map((variant) => `${_escape(variant.name)} ${_escape(_variantStyle(variant))} ${_percent(variant.similarity)}`).join(", ");
+            const words = (font.words || []).map((word) => `${_escape(word.text)}${word.image ? `<img src="${word.image}" alt="rendering">` : ""} ${_percent(word.similarity)}`).join(", ");
+            const rows = symbols.map((symbol) => {
+                const glyph = glyphs[symbol];
+                const images = glyph.overlay ? ["query", "glyph", "diff"].map((key) => `<img src="${glyph.overlay[key]}" alt="${key}">`).join("") : "";
+                
+                return `<tr>
+                    <td>${_escape(symbol)}</td>
+                    <td>${_percent(glyph.similarity)}</td>
+                    ${metrics.map((metric) => `<td>${glyph.metrics[metric] === undefined ? "" : _percent(glyph.metrics[metric])}</td>`).join("")}
+                    <td>${glyph.samples}</td>
+                    <td>${glyph.confidence.toFixed(0)}</td>
+                    ${overlays ? `<td>${images}</td>` : ""}
+                </tr>`;
+            });
+            
+            return `<section>
+                <h2>${position}. ${name}${font.variant ? ` ${_escape(_variantStyle(font.variant))}` : ""} <small>${_percent(font.similarity)}${font.wordSimilarity === undefined ? "" : `, words ${_percent(font.wordSimilarity)}`}${font.confidence === undefined ? "" : `, confidence ${_percent(font.confidence * 100)}`}</small></h2>
+                ${details ? `<p>${details}</p>` : ""}
+                ${words ? `<p class="words">Words: ${words}</p>` : ""}
+                ${font.variants && font.variants.length > 1 ? `<p>Variants: ${variants}</p>` : ""}
+                <table>
+                    <tr>
+                        <th>Symbol</th>
+                        <th>Similarity</th>
+                        ${metrics.map((metric) => `<th>${_escape(metric)}</th>`).join("")}
+                        <th>Samples</th>
+                        <th>OCR confidence</th>
+                        ${overlays ? "<th>Image / font / diff</th>" : ""}
+                    </tr>
+                    ${rows.join("")}
+                </table>
+            </section>`;
+        };
+        
+        /**
+         * _render Render the report of a ranking.
+         * @param {Array} ranking The result of Typefont().
+         * @param {Object} [options = {}]
+         * @return {String} The HTML document.
+        */
+        
+        const _render = (ranking, options = {}) => {
+            const {
+                // The title of the report.
+                title = "Typefont report",
+                // The number of fonts of the ranking included in the report.
+                limit = 5
+            } = options;
+            const fonts = ranking.slice(0, limit);
+            
+            return `<!DOCTYPE html>
+<html>
+    <head>
+        <meta charset="utf-8">
+        <title>${_escape(title)}</title>
+        <style>${_style}</style>
+    </head>
+    <body>
+        <h1>${_escape(title)}</h1>
+        ${ranking.unknown ? "<p>Unknown font: the font of the image is likely not in the database, the closest ones follow.</p>" : ""}
+        ${ranking.failures && ranking.failures.length ? `<p>Not compared: ${ranking.failures.map((failure) => `${_escape(failure.name)} (${_escape(failure.error)})`).join(", ")}</p>` : ""}
+        ${fonts.some((font) => font.glyphs && Object.keys(font.glyphs).some((symbol) => font.glyphs[symbol].overlay)) ? _legend() : ""}
+        ${fonts.map((font, i) => _font(font, i + 1)).join("")}
+    </body>
+</html>`;
+        };
+        
+        // Return the public context.
+        return (ranking, options) => _render(ranking, options);
+    }
+
+());
\ No newline at end of file
@@ -0,0 +1,127 @@
+/**
+ * @module Abort Used to cancel the recognition process through an AbortSignal.
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+export const Abort = (
+
+    function (undefined)
+    {
+        // The reason used to reject the aborted operations.
+        const _reason = "Recognition aborted";
+        
+        // The callbacks waiting for the abort of each signal, a signal has a single listener whatever the number of pending operations.
+        const _callbacks = new WeakMap();
+        
+        // The unsubscribe functions of the linked controllers (see _link).
+        const _links = new WeakMap();
+        
+        /**
+         * _check Throw the abort reason if a signal is aborted.
+         * @param {AbortSignal} [signal]
+        */
+        
+        const _check = (signal) => {
+            if (signal && signal.aborted)
+                throw _reason;
+        };
+        
+        /**
+         * _subscribe Invoke a callback once when a signal is aborted.
+         * @param {AbortSignal} signal
+         * @param {Function} callback
+         * @return {Function} Used to unsubscribe the callback.
+        */
+        
+        const _subscribe = (signal, callback) => {
+            let callbacks = _callbacks.get(signal);
+            
+            if (!callbacks) {
+                callbacks = new Set();
+                _callbacks.set(signal, callbacks);
+                signal.addEventListener("abort", () => {
+                    callbacks.forEach((callback) => callback());
+                    callbacks.clear();
+                }, {once: true});
+            }
+            
+            callbacks.add(callback);
+            
+            return () => callbacks.delete(callback);
+        };
+        
+        /**
+         * _guard Reject a promise as soon as a signal is aborted.
+         * @param {Promise} promise
+         * @param {AbortSignal} [signal]
+         * @param {Function} [cleanup] Invoked on abort, used to stop the work behind the promise.
+         * @return {Promise}
+        */
+        
+        const _guard = (promise, signal, cleanup) => {
+            if (!signal)
+                return promise;
+            
+            return new Promise((resolve, reject) => {
+                const abort = () => {
+                    if (cleanup)
+                        cleanup();
+                    
+                    reject(_reason);
+                };
+                
+                // The promise is not awaited anymore, its rejection is observed here.
+                if (signal.aborted) {
+                    promise.catch(() => {});
+                    return abort();
+                }
+                
+                const unsubscribe = _subscribe(signal, abort);
+                
+                promise.then(resolve, reject).then(unsubscribe);
+            });
+        };
+        
+        /**
+         * _link Create an AbortController that is aborted together with a signal.
+         * The controller must be released once its work is settled (see _release).
+         * @param {AbortSignal} [signal]
+         * @return {AbortController}
+        */
+        
+        const _link = (signal) => {
+            const controller = new AbortController();
+            
+            if (signal && signal.aborted)
+                controller.abort();
+            else if (signal)
+                _links.set(controller, _subscribe(signal, () => controller.abort()));
+            
+            return controller;
+        };
+        
+        /**
+         * _release Unlink a controller from its signal once its work is settled, the controller is not aborted with the signal anymore.
+         * @param {AbortController} controller
+        */
+        
+        const _release = (controller) => {
+            const unsubscribe = _links.get(controller);
+            
+            if (unsubscribe) {
+                unsubscribe();
+                _links.delete(controller);
+            }
+        };
+        
+        // Return the public context.
+        return {
+            reason: _reason,
+            check: (signal) => _check(signal),
+            guard: (promise, signal, cleanup) => _guard(promise, signal, cleanup),
+            link: (signal) => _link(signal),
+            release: (controller) => _release(controller)
+        };
+    }
+
+());
\ No newline at end of file
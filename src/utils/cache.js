@@ -0,0 +1,44 @@
+/**
+ * @module PromiseCache Used to keep the results of the last asynchronous computations.
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+export const PromiseCache = (
+
+    function (undefined)
+    {
+        /**
+         * _create Build a cache, a function that returns the cached Promise of a key or creates it.
+         * The oldest entries are dropped beyond the size, the rejected ones are never kept.
+         * @param {Number} [size = 256] The maximum number of entries.
+         * @param {Function} [keep] (value) => Boolean, the entries resolved with a value it refuses are dropped too.
+         * @return {Function} (key: String, create: () => Promise) => Promise
+        */
+        
+        const _create = (size = 256, keep = () => true) => {
+            const entries = new Map();
+            
+            return (key, create) => {
+                if (!entries.has(key)) {
+                    const promise = create();
+                    const drop = () => {
+                        if (entries.get(key) === promise)
+                            entries.delete(key);
+                    };
+                    
+                    entries.set(key, promise);
+                    promise.then((value) => keep(value) || drop(), drop);
+                    
+                    if (entries.size > size)
+                        entries.delete(entries.keys().next().value);
+                }
+                
+                return entries.get(key);
+            };
+        };
+        
+        // Return the public context.
+        return (size, keep) => _create(size, keep);
+    }
+
+());
\ No newline at end of file
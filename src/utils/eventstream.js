@@ -0,0 +1,111 @@
+/**
+ * @module EventStream Used to consume the events of a process as an async iterator.
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+export const EventStream = class {
+
+    /**
+     * constructor
+     * @param {Function} [onReturn] Invoked when the consumer stops the iteration before the end.
+    */
+    
+    constructor (onReturn) {
+        this.queue = [];
+        this.waiting = [];
+        this.ended = false;
+        this.error = undefined;
+        this.onReturn = onReturn;
+    }
+    
+    /**
+     * push Add an event to the stream.
+     * @param {Object} event
+    */
+    
+    push (event)
+    {
+        if (this.ended)
+            return;
+        
+        if (this.waiting.length)
+            this.waiting.shift().resolve({value: event, done: false});
+        else
+            this.queue.push(event);
+    }
+    
+    /**
+     * end Close the stream after the queued events.
+    */
+    
+    end ()
+    {
+        this.ended = true;
+        
+        for (const waiting of this.waiting.splice(0))
+            waiting.resolve({value: undefined, done: true});
+    }
+    
+    /**
+     * fail Close the stream with an error, thrown after the queued events.
+     * @param {*} error
+    */
+    
+    fail (error)
+    {
+        if (this.ended)
+            return;
+        
+        this.error = error;
+        this.ended = true;
+        
+        for (const waiting of this.waiting.splice(0))
+            waiting.reject(error);
+    }
+    
+    /**
+     * next Get the next event.
+     * @return {Promise}
+    */
+    
+    next ()
+    {
+        if (this.queue.length)
+            return Promise.resolve({value: this.queue.shift(), done: false});
+        
+        if (this.error !== undefined) {
+            const error = this.error;
+            
+            this.error = undefined;
+            
+            return Promise.reject(error);
+        }
+        
+        if (this.ended)
+            return Promise.resolve({value: undefined, done: true});
+        
+        return new Promise((resolve, reject) => this.waiting.push({resolve, reject}));
+    }
+    
+    /**
+     * return Stop the iteration (invoked by "break" inside a "for await" loop).
+     * @return {Promise}
+    */
+    
+    return ()
+    {
+        if (!this.ended && this.onReturn)
+            this.onReturn();
+        
+        this.queue = [];
+        this.error = undefined;
+        this.end();
+        
+        return Promise.resolve({value: undefined, done: true});
+    }
+    
+    [Symbol.asyncIterator] () {
+        return this;
+    }
+
+};
\ No newline at end of file
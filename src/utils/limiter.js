@@ -0,0 +1,46 @@
+/**
+ * @module Limiter Used to bound the number of tasks running at the same time.
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+import {Abort} from "./abort.js";
+
+export const Limiter = (
+
+    function (undefined)
+    {
+        /**
+         * _create Build a limiter, a function that queues a task and returns a Promise of its result.
+         * The tasks started once the signal is aborted are not run, their Promise is rejected with the abort reason.
+         * @param {Number} [concurrency = Infinity] The maximum number of running tasks.
+         * @param {AbortSignal} [signal]
+         * @return {Function} (task: () => Promise) => Promise
+        */
+        
+        const _create = (concurrency = Infinity, signal = undefined) => {
+            const queue = [];
+            let running = 0;
+            const next = () => {
+                if (running >= concurrency || !queue.length)
+                    return;
+                
+                const job = queue.shift();
+                
+                ++running;
+                Promise.resolve(signal).then(Abort.check).then(job.task).then(job.resolve, job.reject).then(() => {
+                    --running;
+                    next();
+                });
+            };
+            
+            return (task) => new Promise((resolve, reject) => {
+                queue.push({task, resolve, reject});
+                next();
+            });
+        };
+        
+        // Return the public context.
+        return (concurrency, signal) => _create(concurrency, signal);
+    }
+
+());
\ No newline at end of file
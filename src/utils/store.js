@@ -0,0 +1,78 @@
+/**
+ * @module IndexedStore Used to keep values across the sessions in an IndexedDB object store.
+ * The store never fails: without IndexedDB (e.g. under Node.js) or on any error the values are simply not found.
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+export const IndexedStore = (
+
+    function (undefined)
+    {
+        // The name of the object store inside each database.
+        const _objectStore = "values";
+        
+        // The opened databases by name.
+        const _databases = new Map();
+        
+        /**
+         * _open Open (or create) a database.
+         * @param {String} name
+         * @return {Promise} Resolved with the IDBDatabase, null if unavailable.
+        */
+        
+        const _open = (name) => {
+            if (!_databases.has(name)) {
+                _databases.set(name, new Promise((resolve) => {
+                    if (typeof indexedDB == "undefined")
+                        return resolve(null);
+                    
+                    try {
+                        const request = indexedDB.open(name, 1);
+                        
+                        request.onupgradeneeded = () => request.result.createObjectStore(_objectStore);
+                        request.onsuccess = () => resolve(request.result);
+                        request.onerror = request.onblocked = () => resolve(null);
+                    }
+                    catch (ex) {
+                        resolve(null);
+                    }
+                }));
+            }
+            
+            return _databases.get(name);
+        };
+        
+        /**
+         * _transaction Run a request on the object store of a database.
+         * @param {String} name The name of the database.
+         * @param {String} mode "readonly" or "readwrite".
+         * @param {Function} run Used to create the request from the object store.
+         * @return {Promise} Resolved with the result of the request, undefined on error.
+        */
+        
+        const _transaction = (name, mode, run) => {
+            return _open(name).then((db) => new Promise((resolve) => {
+                if (!db)
+                    return resolve(undefined);
+                
+                try {
+                    const request = run(db.transaction(_objectStore, mode).objectStore(_objectStore));
+                    
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => resolve(undefined);
+                }
+                catch (ex) {
+                    resolve(undefined);
+                }
+            }));
+        };
+        
+        // Return the public context.
+        return {
+            get: (name, key) => _transaction(name, "readonly", (store) => store.get(key)),
+            set: (name, key, value) => _transaction(name, "readwrite", (store) => store.put(value, key)),
+            clear: (name) => _transaction(name, "readwrite", (store) => store.clear())
+        };
+    }
+
+());
\ No newline at end of file
@@ -0,0 +1,110 @@
+/**
+ * @module WorkerPool Used to run tasks in a pool of Web Workers.
+ * A task is a message answered by the worker with {id, result} or {id, error}, the id is set by the pool.
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+export const WorkerPool = (
+
+    function (undefined)
+    {
+        /**
+         * _create Build a pool, the workers are started on demand.
+         * A worker that fails (e.g. its script can not be loaded) fails its tasks and the whole pool: the next tasks are rejected at once.
+         * @param {String} url The URL of the worker script.
+         * @param {Number} [size = 2] The maximum number of workers.
+         * @param {Object} [init] The first message sent to every worker.
+         * @return {Object} {run(message, transfer) => Promise, terminate()}
+        */
+        
+        const _create = (url, size = 2, init = undefined) => {
+            const workers = [];
+            const pending = new Map();
+            let failure = null;
+            let id = 0;
+            const fail = (error) => {
+                failure = error;
+                
+                for (const [key, task] of pending)
+                {
+                    pending.delete(key);
+                    task.reject(error);
+                }
+            };
+            const spawn = () => {
+                const worker = new Worker(url);
+                
+                worker.tasks = 0;
+                worker.onmessage = (e) => {
+                    const task = pending.get(e.data.id);
+                    
+                    if (!task)
+                        return;
+                    
+                    pending.delete(e.data.id);
+                    --worker.tasks;
+                    
+                    if (e.data.error !== undefined)
+                        task.reject(e.data.error);
+                    else
+                        task.resolve(e.data.result);
+                };
+                worker.onerror = () => fail(`Unable to run the worker ${url}`);
+                
+                if (init)
+                    worker.postMessage(init);
+                
+                workers.push(worker);
+                
+                return worker;
+            };
+            const pick = () => {
+                const idle = workers.reduce((best, worker) => !best || worker.tasks < best.tasks ? worker : best, null);
+                
+                return idle && (idle.tasks == 0 || workers.length >= size) ? idle : spawn();
+            };
+            
+            return {
+                run: (message, transfer = []) => new Promise((resolve, reject) => {
+                    if (failure)
+                        return reject(failure);
+                    
+                    const worker = pick();
+                    const key = ++id;
+                    
+                    // The messages that can not be cloned are rejected by postMessage.
+                    try {
+                        worker.postMessage(Object.assign({}, message, {id: key}), transfer);
+                    }
+                    catch (ex) {
+                        return reject(String(ex));
+                    }
+                    
+                    ++worker.tasks;
+                    pending.set(key, {resolve, reject});
+                }),
+                terminate: () => {
+                    for (const worker of workers)
+                        worker.terminate();
+                    
+                    workers.length = 0;
+                    fail("The worker pool is terminated");
+                }
+            };
+        };
+        
+        /**
+         * _supported Check if the environment has the Web Workers.
+         * @return {Boolean}
+        */
+        
+        const _supported = () => typeof Worker == "function";
+        
+        // Return the public context.
+        return {
+            create: (url, size, init) => _create(url, size, init),
+            supported: () => _supported()
+        };
+    }
+
+());
\ No newline at end of file
@@ -0,0 +1,491 @@
+/**
+ * @module Benchmark Used to measure the accuracy and the speed of Typefont on a labeled corpus rendered from the font files of the database fonts.
+ * Each sample is a phrase rendered with the font file of a variant and distorted by a profile (scale, rotation, blur, noise, polarity, JPEG),
+ * its text is recognized by the stub engine, fed with the known bounding boxes, or by Tesseract.
+ * Usage: node tools/benchmark.js <fonts-directory> [storage-directory] [--tesseract] [--json] [--profiles=clean,blurred,...] [--fonts=Roboto,Lora,...] [--options={"perceptualComparisonSize": 32}]
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+import fs from "fs";
+import path from "path";
+import canvas from "canvas";
+import Jimp from "jimp";
+import opentype from "opentype.js";
+import {Platform} from "../src/platform/platform.js";
+import {NodePlatform} from "../src/platform/node.js";
+import {FontIndex} from "../src/font/fontindex.js";
+import {StubEngine} from "../src/recognition/engines/stub.js";
+import {TesseractEngine} from "../src/recognition/engines/tesseract.js";
+import {Typefont} from "../src/index.js";
+import {BuildFonts} from "./buildfonts.js";
+
+export const Benchmark = (
+
+    function (undefined)
+    {
+        // The phrases rendered with every font, they cover the letters and the digits.
+        const _phrases = ["Brave Jumping Fox", "Quiet Heights 1987", "Wharf Lamp Kits 42"];
+        
+        // The distortion profiles: scale factor, rotation [deg], blur radius [px], noise deviation [0, 255], inverted polarity and JPEG quality [0, 100].
+        const _profiles = {
+            clean: {},
+            small: {scale: 0.5},
+            rotated: {rotate: 3},
+            blurred: {blur: 1},
+            noisy: {noise: 24},
+            inverted: {invert: true},
+            jpeg: {jpeg: 35},
+            hard: {scale: 0.6, rotate: -2, blur: 1, noise: 16, jpeg: 50}
+        };
+        
+        // The stages of a run, in order.
+        const _stages = ["image", "ocr", "symbols", "ranking"];
+        
+        /**
+         * _random Build a seeded pseudo random generator (Park-Miller), the corpus is the same at every run.
+         * @param {Number} seed
+         * @return {Function} Returns a number in [0, 1).
+        */
+        
+        const _random = (seed) => {
+            let state = seed % 2147483647 || 1;
+            
+            return () => (state = (state * 16807) % 2147483647) / 2147483647;
+        };
+        
+        /**
+         * _gaussian Draw a normally distributed number (Box-Muller).
+         * @param {Function} random
+         * @return {Number}
+        */
+        
+        const _gaussian = (random) => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+        
+        /**
+         * _variantName Describe the style of a variant, e.g. "700 italic normal".
+         * @param {Object} variant
+         * @return {String}
+        */
+        
+        const _variantName = (variant) => `${variant.weight} ${variant.style} ${variant.stretch}`;
+        
+        /**
+         * _loadSources Parse the font files of a directory that belong to the given fonts of the database.
+         * A font file belongs to the font of its family name (see BuildFonts), the fonts without a file are not in the corpus.
+         * @param {String} source The directory of the font files.
+         * @param {Array} fonts The names of the fonts.
+         * @return {Array} The sources sorted by font and variant: {font, variant, file}, file is the parsed font file.
+        */
+        
+        const _loadSources = (source, fonts) => {
+            return fs.readdirSync(source)
+                .filter((file) => BuildFonts.extensions.indexOf(path.extname(file).toLowerCase()) != -1)
+                .map((file) => {
+                    const buffer = fs.readFileSync(path.join(source, file));
+                    
+                    try {
+                        return opentype.parse(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+                    }
+                    catch (ex) {
+                        throw `Unable to parse ${file}: ${ex.message}`;
+                    }
+                })
+                .map((file) => ({font: BuildFonts.meta(file).name, variant: _variantName(BuildFonts.style(file)), file}))
+                .filter((source) => fonts.indexOf(source.font) != -1)
+                .sort((a, b) => fonts.indexOf(a.font) - fonts.indexOf(b.font) || a.variant.localeCompare(b.variant));
+        };
+        
+        /**
+         * _union Get the bounding box containing a list of bounding boxes.
+         * @param {Array} boxes
+         * @return {Object}
+        */
+        
+        const _union = (boxes) => ({
+            x0: Math.min(...boxes.map((box) => box.x0)),
+            y0: Math.min(...boxes.map((box) => box.y0)),
+            x1: Math.max(...boxes.map((box) => box.x1)),
+            y1: Math.max(...boxes.map((box) => box.y1))
+        });
+        
+        /**
+         * _compose Render a phrase with a font file, black on white: a glyph for each symbol, as recognized by an OCR engine,
+         * kerned as the glyph metrics of the database (see BuildFonts).
+         * @param {opentype.Font} font
+         * @param {String} text
+         * @param {Number} size The font size [px].
+         * @return {Object} {canvas, symbols, words}, they have the structure of the OCR engine ones.
+        */
+        
+        const _compose = (font, text, size) => {
+            const scale = size / font.unitsPerEm;
+            const glyphs = [...text].map((symbol) => ({symbol, glyph: font.charToGlyph(symbol)}));
+            const advance = (glyph, i) => (glyph.glyph.advanceWidth + (i + 1 < glyphs.length ? font.getKerningValue(glyph.glyph, glyphs[i + 1].glyph) : 0)) * scale;
+            const margin = Math.round(size * 0.5);
+            const baseline = margin + Math.ceil(font.ascender * scale);
+            const width = glyphs.reduce((sum, glyph, i) => sum + advance(glyph, i), 0);
+            const result = canvas.createCanvas(Math.ceil(width) + margin * 2, baseline + Math.ceil(-font.descender * scale) + margin);
+            const context = result.getContext("2d");
+            const symbols = [];
+            const words = [];
+            let x = margin;
+            let word = [];
+            const end = () => {
+                if (word.length) {
+                    words.push({text: word.map((symbol) => symbol.text).join(""), confidence: 90, bbox: _union(word.map((symbol) => symbol.bbox)), line: 0});
+                    word = [];
+                }
+            };
+            
+            context.fillStyle = "#fff";
+            context.fillRect(0, 0, result.width, result.height);
+            
+            glyphs.forEach((glyph, i) => {
+                const outline = glyph.glyph.getPath(x, baseline, size);
+                const box = outline.getBoundingBox();
+                
+                outline.fill = "#000";
+                outline.draw(context);
+                x += advance(glyph, i);
+                
+                if (glyph.symbol == " ")
+                    return end();
+                
+                // The symbols without ink are not recognized.
+                if (box.x2 > box.x1) {
+                    const symbol = {text: glyph.symbol, confidence: 90, bbox: {x0: Math.floor(box.x1), y0: Math.floor(box.y1), x1: Math.ceil(box.x2), y1: Math.ceil(box.y2)}, word: words.length, line: 0};
+                    
+                    symbols.push(symbol);
+                    word.push(symbol);
+                }
+            });
+            end();
+            
+            return {canvas: result, symbols, words};
+        };
+        
+        /**
+         * _transform Redraw a sample scaled and rotated around its center, the bounding boxes follow the symbols and the words.
+         * @param {Object} sample {canvas, symbols, words}
+         * @param {Number} [scale = 1]
+         * @param {Number} [rotate = 0] The clockwise rotation [deg].
+         * @return {Object} {canvas, symbols, words}
+        */
+        
+        const _transform = (sample, scale = 1, rotate = 0) => {
+            const angle = rotate * Math.PI / 180;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            const width = sample.canvas.width * scale;
+            const height = sample.canvas.height * scale;
+            const result = canvas.createCanvas(Math.ceil(Math.abs(width * cos) + Math.abs(height * sin)), Math.ceil(Math.abs(width * sin) + Math.abs(height * cos)));
+            const context = result.getContext("2d");
+            const point = (x, y) => {
+                x = x * scale - width / 2;
+                y = y * scale - height / 2;
+                
+                return [x * cos - y * sin + result.width / 2, x * sin + y * cos + result.height / 2];
+            };
+            const follow = (item) => {
+                const corners = [[item.bbox.x0, item.bbox.y0], [item.bbox.x1, item.bbox.y0], [item.bbox.x0, item.bbox.y1], [item.bbox.x1, item.bbox.y1]].map((corner) => point(...corner));
+                const xs = corners.map((corner) => corner[0]);
+                const ys = corners.map((corner) => corner[1]);
+                
+                return Object.assign({}, item, {bbox: {
+                    x0: Math.max(0, Math.floor(Math.min(...xs))),
+                    y0: Math.max(0, Math.floor(Math.min(...ys))),
+                    x1: Math.min(result.width, Math.ceil(Math.max(...xs))),
+                    y1: Math.min(result.height, Math.ceil(Math.max(...ys)))
+                }});
+            };
+            
+            context.fillStyle = "#fff";
+            context.fillRect(0, 0, result.width, result.height);
+            context.translate(result.width / 2, result.height / 2);
+            context.rotate(angle);
+            context.drawImage(sample.canvas, -width / 2, -height / 2, width, height);
+            
+            return {canvas: result, symbols: sample.symbols.map(follow), words: sample.words.map(follow)};
+        };
+        
+        /**
+         * _distort Apply a distortion profile to a composed phrase.
+         * @param {Object} sample {canvas, symbols, words}
+         * @param {Object} profile {scale, rotate, blur, noise, invert, jpeg}
+         * @param {Function} random Used by the noise.
+         * @return {Promise} Resolved with {image, ocr}: the encoded image (PNG, JPEG with the jpeg distortion) and the stub engine fixture.
+        */
+        
+        const _distort = (sample, profile, random) => {
+            const {scale = 1, rotate = 0, blur = 0, noise = 0, invert = false, jpeg} = profile;
+            const transformed = _transform(sample, scale, rotate);
+            
+            return Jimp.read(transformed.canvas.toBuffer("image/png")).then((image) => {
+                if (blur)
+                    image.blur(blur);
+                
+                if (noise)
+                    image.scan(0, 0, image.bitmap.width, image.bitmap.height, (x, y, i) => {
+                        const delta = _gaussian(random) * noise;
+                        
+                        for (let channel = 0; channel < 3; channel++)
+                            image.bitmap.data[i + channel] = Math.max(0, Math.min(255, Math.round(image.bitmap.data[i + channel] + delta)));
+                    });
+                
+                if (invert)
+                    image.invert();
+                
+                if (jpeg)
+                    image.quality(jpeg);
+                
+                return image.getBufferAsync(jpeg ? Jimp.MIME_JPEG : Jimp.MIME_PNG);
+            }).then((image) => ({
+                image,
+                ocr: {
+                    text: transformed.words.map((word) => word.text).join(" "),
+                    confidence: 90,
+                    symbols: transformed.symbols,
+                    words: transformed.words
+                }
+            }));
+        };
+        
+        /**
+         * _corpus Render the labeled samples: every phrase with every font file of every font under every profile (see _loadSources).
+         * @param {String} source The directory of the font files.
+         * @param {String} storage The directory of the database.
+         * @param {Object} [options = {}]
+         * @return {Promise} Resolved with the samples: {font, variant, text, profile, image, ocr}.
+        */
+        
+        const _corpus = (source, storage, options = {}) => {
+            const {
+                // The rendered phrases.
+                phrases = _phrases,
+                // The names of the distortion profiles or the profiles themselves, {name: {scale, rotate, blur, noise, invert, jpeg}}.
+                profiles = Object.keys(_profiles),
+                // Used to pick the fonts of the index that are rendered (see FontIndex), Typefont compares every font.
+                fontFilter,
+                // The font size of the rendered phrases [px].
+                sampleSize = 48,
+                // The seed of the noise.
+                seed = 7
+            } = options;
+            const random = _random(seed);
+            const distortions = Array.isArray(profiles) ? profiles.reduce((result, name) => {
+                if (!_profiles[name])
+                    throw `Unknown distortion profile ${name}`;
+                
+                return Object.assign(result, {[name]: _profiles[name]});
+            }, {}) : profiles;
+            const index = JSON.parse(fs.readFileSync(path.join(storage, "index.json"), "utf8")).index;
+            const fonts = FontIndex.filter(index.map(FontIndex.entry), fontFilter).map((entry) => entry.name);
+            const samples = [];
+            
+            return Promise.resolve().then(() => _loadSources(source, fonts)).then((sources) => sources.reduce((chain, font) => chain.then(() => {
+                return phrases.reduce((chain, text) => chain.then(() => {
+                    const composed = _compose(font.file, text, sampleSize);
+                    
+                    return Object.keys(distortions).reduce((chain, profile) => chain.then(() => _distort(composed, distortions[profile], random)).then((res) => {
+                        samples.push(Object.assign({font: font.font, variant: font.variant, text, profile}, res));
+                    }), Promise.resolve());
+                }), Promise.resolve());
+            }), Promise.resolve())).then(() => samples);
+        };
+        
+        /**
+         * _measure Run Typefont on a sample and time its stages.
+         * The stages: image (loading, preprocessing and binarization), ocr (the engine), symbols (cropping the recognized symbols)
+         * and ranking (loading and comparing the fonts).
+         * @param {Object} sample
+         * @param {Object} [options = {}] The options of Typefont.
+         * @param {Boolean} [tesseract = false] Recognize the text with Tesseract instead of the stub engine.
+         * @return {Promise} Resolved with {rank, top, variant, timings}, rank is the 1-based position of the font (0 when missing).
+        */
+        
+        const _measure = (sample, options = {}, tesseract = false) => {
+            const engine = tesseract ? TesseractEngine : StubEngine(sample.ocr);
+            const marks = {start: performance.now()};
+            const ocrEngine = {
+                recognize: (url, settings) => {
+                    marks.ocr = performance.now();
+                    
+                    return engine.recognize(url, settings).then((res) => {
+                        marks.symbols = performance.now();
+                        
+                        return res;
+                    });
+                }
+            };
+            const onEvent = (event) => {
+                if (event.type == "ocr-done")
+                    marks.ranking = performance.now();
+                
+                if (options.onEvent)
+                    options.onEvent(event);
+            };
+            
+            return Typefont(sample.image, Object.assign({}, options, {ocrEngine, onEvent})).then((ranking) => {
+                const end = performance.now();
+                const times = [marks.start, marks.ocr, marks.symbols, marks.ranking, end];
+                const rank = ranking.slice(0, 5).findIndex((font) => font.name == sample.font) + 1;
+                
+                return {
+                    rank,
+                    top: ranking.length ? ranking[0].name : null,
+                    variant: rank == 1 ? _variantName(ranking[0].variant || {}) == sample.variant : false,
+                    timings: _stages.reduce((result, stage, i) => Object.assign(result, {[stage]: times[i + 1] - times[i]}), {total: end - marks.start})
+                };
+            });
+        };
+        
+        /**
+         * _summarize Compute the accuracy of a group of results and their mean timings [ms].
+         * @param {Array} results
+         * @return {Object} {samples, top1, top5, variant, failures, timings}
+        */
+        
+        const _summarize = (results) => {
+            const ranked = results.filter((result) => !result.error);
+            const share = (count) => count / (results.length || 1);
+            const mean = (stage) => ranked.reduce((sum, result) => sum + result.timings[stage], 0) / (ranked.length || 1);
+            
+            return {
+                samples: results.length,
+                top1: share(ranked.filter((result) => result.rank == 1).length),
+                top5: share(ranked.filter((result) => result.rank > 0).length),
+                // The share of the samples whose first font has the rendered variant as closest one.
+                variant: share(ranked.filter((result) => result.variant).length),
+                failures: results.length - ranked.length,
+                timings: _stages.concat(["total"]).reduce((result, stage) => Object.assign(result, {[stage]: mean(stage)}), {})
+            };
+        };
+        
+        /**
+         * _group Summarize the results grouped by a property.
+         * @param {Array} results
+         * @param {String} key
+         * @return {Object}
+        */
+        
+        const _group = (results, key) => {
+            const groups = {};
+            
+            for (const result of results)
+                (groups[result[key]] = groups[result[key]] || []).push(result);
+            
+            for (const name in groups)
+                groups[name] = _summarize(groups[name]);
+            
+            return groups;
+        };
+        
+        /**
+         * _run Render the corpus and run Typefont on every sample, one at a time.
+         * A sample that makes Typefont fail is counted as missed and its error is kept in the results.
+         * The fontFilter picks the rendered fonts only, the samples are ranked against every font of the storage.
+         * @param {String} source The directory of the font files.
+         * @param {String} [storage = "storage"] The directory of the database.
+         * @param {Object} [options = {}] The options of the corpus (phrases, profiles, fontFilter, sampleSize, seed), of the run and of Typefont.
+         * @return {Promise} Resolved with the report: the summary of all the samples, by profile, by font and the results.
+        */
+        
+        const _run = (source, storage = "storage", options = {}) => {
+            const {
+                // Recognize the text with Tesseract instead of the stub engine?
+                tesseract = false,
+                // The options of Typefont, the fonts are the ones of the storage unless given.
+                typefont = {}
+            } = options;
+            const settings = Object.assign({
+                fontsIndex: path.resolve(storage, "index.json"),
+                fontsDirectory: `${path.resolve(storage, "fonts")}/`
+            }, typefont);
+            const results = [];
+            
+            return _corpus(source, storage, options).then((samples) => samples.reduce((chain, sample) => chain.then(() => {
+                const result = {font: sample.font, variant: sample.variant, text: sample.text, profile: sample.profile};
+                
+                return _measure(sample, settings, tesseract)
+                    .then((res) => results.push(Object.assign(result, res)))
+                    .catch((err) => results.push(Object.assign(result, {rank: 0, error: String(err)})));
+            }), Promise.resolve())).then(() => Object.assign(_summarize(results), {
+                engine: tesseract ? "tesseract" : "stub",
+                options: typefont,
+                profiles: _group(results, "profile"),
+                fonts: _group(results, "font"),
+                results
+            }));
+        };
+        
+        /**
+         * _format Describe a report as text, a line for the whole corpus and a line for each profile and font.
+         * @param {Object} report
+         * @return {String}
+        */
+        
+        const _format = (report) => {
+            const percent = (value) => `${(value * 100).toFixed(1)}%`.padStart(7);
+            const line = (name, summary) => [
+                name.padEnd(18),
+                String(summary.samples).padStart(5),
+                percent(summary.top1),
+                percent(summary.top5),
+                percent(summary.variant),
+                String(summary.failures).padStart(5),
+                ..._stages.concat(["total"]).map((stage) => summary.timings[stage].toFixed(0).padStart(8))
+            ].join(" ");
+            const header = ["".padEnd(18), "n".padStart(5), "top-1".padStart(7), "top-5".padStart(7), "variant".padStart(7), "fail".padStart(5), ..._stages.concat(["total"]).map((stage) => `${stage}ms`.padStart(8))].join(" ");
+            
+            return [
+                `engine ${report.engine}, options ${JSON.stringify(report.options)}`,
+                header,
+                line("all", report),
+                ...Object.keys(report.profiles).map((name) => line(name, report.profiles[name])),
+                ...Object.keys(report.fonts).map((name) => line(name, report.fonts[name]))
+            ].join("\n");
+        };
+        
+        // Return the public context.
+        return {
+            profiles: _profiles,
+            corpus: (source, storage, options) => _corpus(source, storage, options),
+            measure: (sample, options, tesseract) => _measure(sample, options, tesseract),
+            run: (source, storage, options) => _run(source, storage, options),
+            format: (report) => _format(report)
+        };
+    }
+
+());
+
+if (process.argv[1] && path.resolve(process.argv[1]) == path.resolve(new URL(import.meta.url).pathname))
+{
+    const args = process.argv.slice(2);
+    const [source, storage = "storage"] = args.filter((arg) => arg.indexOf("--"));
+    const value = (name) => {
+        const arg = args.find((arg) => arg.indexOf(`--${name}=`) == 0);
+        
+        return arg && arg.substr(name.length + 3);
+    };
+    const tesseract = args.indexOf("--tesseract") != -1;
+    const options = {
+        tesseract,
+        profiles: value("profiles") ? value("profiles").split(",") : undefined,
+        fontFilter: value("fonts") ? {name: value("fonts").split(",")} : undefined,
+        typefont: value("options") ? JSON.parse(value("options")) : {}
+    };
+    
+    if (!source) {
+        console.error("Usage: node tools/benchmark.js <fonts-directory> [storage-directory] [--tesseract] [--json] [--profiles=clean,blurred,...] [--fonts=Roboto,Lora,...] [--options={\"perceptualComparisonSize\": 32}]");
+        process.exit(1);
+    }
+    
+    (tesseract ? import("tesseract.js").then((module) => module.default) : Promise.resolve()).then((Tesseract) => {
+        Platform.use(NodePlatform({canvas, Jimp, Tesseract, root: "/"}));
+        
+        return Benchmark.run(path.resolve(source), path.resolve(storage), options);
+    }).then((report) => console.log(args.indexOf("--json") != -1 ? JSON.stringify(report, null, 4) : Benchmark.format(report))).catch((err) => {
+        console.error(err);
+        process.exit(1);
+    });
+}
\ No newline at end of file
@@ -0,0 +1,110 @@
+/**
+ * @module BuildFeatures Used to precompute the features of the glyphs of every font in the database (see GlyphFeatures).
+ * Usage: node tools/buildfeatures.js [storage-directory]
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+import fs from "fs";
+import path from "path";
+import canvas from "canvas";
+import Jimp from "jimp";
+import {Platform} from "../src/platform/platform.js";
+import {NodePlatform} from "../src/platform/node.js";
+import {FontStorage} from "../src/font/fontstorage.js";
+import {FontIndex} from "../src/font/fontindex.js";
+import {GlyphFeatures} from "../src/comparison/features.js";
+
+export const BuildFeatures = (
+
+    function (undefined)
+    {
+        /**
+         * _buildVariant Compute the features of the glyphs of a font variant.
+         * @param {Object} variant
+         * @param {Object} [options = {}]
+         * @return {Promise} Resolved with the JSON structure of the features (see GlyphFeatures).
+        */
+        
+        const _buildVariant = (variant, options = {}) => {
+            const symbols = Object.keys(variant.alpha);
+            
+            return Promise.all(symbols.map((symbol) => GlyphFeatures.extract(variant.alpha[symbol], options))).then((res) => {
+                const glyphs = {};
+                
+                symbols.forEach((symbol, i) => glyphs[symbol] = res[i]);
+                
+                return GlyphFeatures.serialize(glyphs);
+            });
+        };
+        
+        /**
+         * _buildFont Compute and write the features file of a font.
+         * The features of a font with more variants are listed in the order of its variants (see FontStorage).
+         * @param {String} directory The directory of the font.
+         * @param {Object} [options = {}]
+         * @return {Promise}
+        */
+        
+        const _buildFont = (directory, options = {}) => {
+            const {
+                fontsData = "data.json",
+                fontsFeatures = "features.json"
+            } = options;
+            
+            return new Promise((resolve, reject) => {
+                // The features are computed from the glyphs only, never from older features.
+                FontStorage.prepareFont(path.join(directory, fontsData), Object.assign({}, options, {fontsFeatures: false})).then((font) => {
+                    return Promise.all(font.variants.map((variant) => _buildVariant(variant, options))).then((res) => {
+                        fs.writeFileSync(path.join(directory, fontsFeatures), JSON.stringify(res.length == 1 ? res[0] : {variants: res}));
+                        resolve();
+                    });
+                }).catch(reject);
+            });
+        };
+        
+        /**
+         * _build Compute the features of every font of the index, the version of the index follows the new files (see FontIndex).
+         * @param {String} [storage = "storage"] The storage directory.
+         * @param {Object} [options = {}]
+         * @return {Promise} Resolved with the number of fonts.
+        */
+        
+        const _build = (storage = "storage", options = {}) => {
+            const {
+                fontsData = "data.json",
+                fontsFeatures = "features.json"
+            } = options;
+            const file = path.join(storage, "index.json");
+            const content = JSON.parse(fs.readFileSync(file, "utf8"));
+            // The entries of the index are names or descriptions of the fonts (see FontIndex).
+            const names = content.index.map((entry) => FontIndex.entry(entry).name);
+            
+            return names.reduce((chain, name) => {
+                return chain.then(() => _buildFont(path.join(storage, "fonts", name), options));
+            }, Promise.resolve()).then(() => {
+                const files = [].concat(...names.map((font) => [fontsData, fontsFeatures].map((name) => path.join(storage, "fonts", font, name))));
+                const version = FontIndex.version(files.filter((file) => fs.existsSync(file)).map((file) => fs.readFileSync(file, "utf8")));
+                
+                fs.writeFileSync(file, JSON.stringify(Object.assign({}, content, {version}), null, 4));
+                
+                return names.length;
+            });
+        };
+        
+        // Return the public context.
+        return {
+            build: (storage, options) => _build(storage, options),
+            buildFont: (directory, options) => _buildFont(directory, options)
+        };
+    }
+
+());
+
+if (process.argv[1] && path.resolve(process.argv[1]) == path.resolve(new URL(import.meta.url).pathname))
+{
+    Platform.use(NodePlatform({canvas, Jimp, root: "/"}));
+    BuildFeatures.build(path.resolve(process.argv[2] || "storage")).then((count) => console.log(`Computed the features of ${count} fonts`)).catch((err) => {
+        console.error(err);
+        process.exit(1);
+    });
+}
\ No newline at end of file
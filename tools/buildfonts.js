@@ -0,0 +1,498 @@
+/**
+ * @module BuildFonts Used to generate the fonts database from a directory of font files (TTF, OTF, WOFF).
+ * The font files of the same family are stored as the variants of a single font (see FontStorage).
+ * Each variant stores the metrics of its glyphs too (advances, bearings, kerning and ligatures), used to render whole words.
+ * Usage: node tools/buildfonts.js <fonts-directory> [storage-directory] [charset]
+ * The charset is the one of the rendered symbols, e.g. latin+latin-extended+greek (see Charsets), latin by default.
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+import fs from "fs";
+import path from "path";
+import opentype from "opentype.js";
+import {createCanvas} from "canvas";
+import {Charsets} from "../src/recognition/charsets.js";
+import {FontIndex} from "../src/font/fontindex.js";
+
+export const BuildFonts = (
+
+    function (undefined)
+    {
+        // The font file extensions accepted by the builder.
+        const _extensions = [".ttf", ".otf", ".woff"];
+        
+        // The CSS font-stretch values by OS/2 width class (1 to 9).
+        const _stretches = [
+            "ultra-condensed",
+            "extra-condensed",
+            "condensed",
+            "semi-condensed",
+            "normal",
+            "semi-expanded",
+            "expanded",
+            "extra-expanded",
+            "ultra-expanded"
+        ];
+        
+        // The CSS font-style values, in the order of the stored variants.
+        const _styles = ["normal", "italic", "oblique"];
+        
+        // The ligatures stored with the glyph metrics when the font substitutes them, the longest first.
+        const _ligatures = ["ffi", "ffl", "ff", "fi", "fl"];
+        
+        /**
+         * _name Read a record from the name table of a font.
+         * @param {opentype.Font} font
+         * @param {String} key The name of the record (e.g. fontFamily, designer, license).
+         * @return {String}
+        */
+        
+        const _name = (font, key) => {
+            const record = font.names[key] || (font.names.windows || {})[key];
+            
+            if (!record)
+                return undefined;
+            
+            return record.en || record[Object.keys(record)[0]];
+        };
+        
+        /**
+         * _classification Guess the classification of a font (see FontIndex) from its PANOSE numbers.
+         * @param {opentype.Font} font
+         * @return {String|undefined}
+        */
+        
+        const _classification = (font) => {
+            const panose = (font.tables.os2 || {}).panose || [];
+            
+            // The PANOSE proportion 9 is monospaced.
+            if ((font.tables.post && font.tables.post.isFixedPitch) || (panose[0] == 2 && panose[3] == 9))
+                return "mono";
+            
+            // The PANOSE family kinds: 2 text, 3 script, 4 decorative, 5 symbol.
+            if (panose[0] == 3)
+                return "script";
+            
+            if (panose[0] == 4 || panose[0] == 5)
+                return "display";
+            
+            // The PANOSE serif styles from 11 to 15 are the sans ones.
+            if (panose[0] == 2 && panose[1] >= 2)
+                return panose[1] >= 11 ? "sans" : "serif";
+            
+            return undefined;
+        };
+        
+        /**
+         * _meta Build the meta object of a font family from its name table.
+         * @param {opentype.Font} font
+         * @return {Object}
+        */
+        
+        const _meta = (font) => {
+            const vendor = ((font.tables.os2 || {}).achVendID || "").trim();
+            
+            return {
+                name: _name(font, "preferredFamily") || _name(font, "fontFamily"),
+                classification: _classification(font),
+                foundry: _name(font, "manufacturer") || vendor || undefined,
+                author: _name(font, "designer") || _name(font, "manufacturer"),
+                uri: _name(font, "designerURL") || _name(font, "manufacturerURL"),
+                // The license description can hold the full license text, prefer its URL.
+                license: _name(font, "licenseURL") || _name(font, "license")
+            };
+        };
+        
+        /**
+         * _style Read the style of a font variant from its OS/2 and head tables.
+         * @param {opentype.Font} font
+         * @return {Object} {weight, style, stretch}
+        */
+        
+        const _style = (font) => {
+            const os2 = font.tables.os2 || {};
+            const subfamily = _name(font, "preferredSubfamily") || _name(font, "fontSubfamily") || "";
+            // Bit 0 of fsSelection and bit 1 of macStyle are set for the italic fonts, bit 9 of fsSelection for the oblique ones.
+            const italic = (os2.fsSelection & 1) || (font.tables.head.macStyle & 2) || /italic/i.test(subfamily);
+            const oblique = (os2.fsSelection & 512) || /oblique/i.test(subfamily);
+            
+            return {
+                weight: os2.usWeightClass || 400,
+                style: oblique ? "oblique" : (italic ? "italic" : "normal"),
+                stretch: _stretches[(os2.usWidthClass || 5) - 1] || "normal"
+            };
+        };
+        
+        /**
+         * _variants Add a variant to the variants of a stored font, replacing the one with the same style.
+         * The single variant format of an older data file is converted (see FontStorage).
+         * @param {Object|null} content The content of the stored data file.
+         * @param {Object} variant
+         * @return {Array} The variants sorted by stretch, weight and style.
+        */
+        
+        const _variants = (content, variant) => {
+            const variants = !content ? [] : (content.variants || [{
+                weight: content.meta.weight || 400,
+                style: content.meta.style || "normal",
+                stretch: content.meta.stretch || "normal",
+                alpha: content.alpha
+            }]);
+            const same = (other) => other.weight == variant.weight && other.style == variant.style && other.stretch == variant.stretch;
+            
+            return variants.filter((other) => !same(other)).concat([variant]).sort((a, b) => {
+                return _stretches.indexOf(a.stretch) - _stretches.indexOf(b.stretch) || a.weight - b.weight || _styles.indexOf(a.style) - _styles.indexOf(b.style);
+            });
+        };
+        
+        /**
+         * _crop Binarize a rendered glyph and crop it to the bounding box of its ink.
+         * @param {Canvas} canvas The canvas containing the rendered glyph (black on white).
+         * @param {Number} threshold Luma threshold, darker pixels are considered ink.
+         * @return {Object|null} {canvas, x, y}: the cropped glyph and the position of its ink in the canvas, null if the glyph has no ink.
+        */
+        
+        const _crop = (canvas, threshold) => {
+            const context = canvas.getContext("2d");
+            const image = context.getImageData(0, 0, canvas.width, canvas.height);
+            const data = image.data;
+            let x0 = canvas.width;
+            let y0 = canvas.height;
+            let x1 = -1;
+            let y1 = -1;
+            
+            for (let i = 0, ll = data.length; i < ll; i += 4)
+            {
+                const luma = data[i] * 0.2126 + data[i + 1] * 0.7152 + data[i + 2] * 0.0722;
+                const ink = luma < threshold;
+                const x = (i / 4) % canvas.width;
+                const y = Math.floor(i / 4 / canvas.width);
+                
+                data[i] = data[i + 1] = data[i + 2] = ink ? 0 : 255;
+                data[i + 3] = 255;
+                
+                if (ink) {
+                    x0 = Math.min(x0, x);
+                    y0 = Math.min(y0, y);
+                    x1 = Math.max(x1, x);
+                    y1 = Math.max(y1, y);
+                }
+            }
+            
+            if (x1 < 0)
+                return null;
+            
+            const fragment = createCanvas(x1 - x0 + 1, y1 - y0 + 1);
+            
+            context.putImageData(image, 0, 0);
+            fragment.getContext("2d").drawImage(canvas, x0, y0, fragment.width, fragment.height, 0, 0, fragment.width, fragment.height);
+            
+            return {canvas: fragment, x: x0, y: y0};
+        };
+        
+        /**
+         * _rasterize Render a text of a font (with its ligatures) into a tightly cropped and binarized canvas.
+         * @param {opentype.Font} font
+         * @param {String} text
+         * @param {Object} [options = {}]
+         * @return {Object|null} {canvas, left, top}: the glyph and the position of its top left corner from the pen on the baseline [px],
+         * null if the text has no ink.
+        */
+        
+        const _rasterize = (font, text, options = {}) => {
+            const {
+                // The font size used to render the glyphs [px].
+                glyphSize = 40,
+                // Luma threshold used to binarize the rendered glyphs.
+                glyphBinarizationThreshold = 128
+            } = options;
+            const outline = font.getPath(text, 0, 0, glyphSize);
+            const box = outline.getBoundingBox();
+            const canvas = createCanvas(Math.ceil(box.x2 - box.x1) + 2, Math.ceil(box.y2 - box.y1) + 2);
+            const context = canvas.getContext("2d");
+            
+            context.fillStyle = "#fff";
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.translate(1 - box.x1, 1 - box.y1);
+            outline.fill = "#000";
+            outline.draw(context);
+            
+            const fragment = _crop(canvas, glyphBinarizationThreshold);
+            
+            return fragment ? {canvas: fragment.canvas, left: box.x1 - 1 + fragment.x, top: box.y1 - 1 + fragment.y} : null;
+        };
+        
+        /**
+         * _round Round a length of the glyph metrics to the hundredth of a pixel.
+         * @param {Number} value
+         * @return {Number}
+        */
+        
+        const _round = (value) => Math.round(value * 100) / 100;
+        
+        /**
+         * _glyphs Get the glyphs of a text without the font shaping it, null when the font can not shape it.
+         * @param {opentype.Font} font
+         * @param {String} text
+         * @return {Array|null}
+        */
+        
+        const _glyphs = (font, text) => {
+            try {
+                return font.stringToGlyphs(text);
+            }
+            catch (ex) {
+                return null;
+            }
+        };
+        
+        /**
+         * _renderGlyph Render a symbol of a font into a tightly cropped and binarized PNG.
+         * @param {opentype.Font} font
+         * @param {String} symbol
+         * @param {Object} [options = {}]
+         * @return {String|null} The base64 PNG of the glyph or null if the font does not cover the symbol.
+        */
+        
+        const _renderGlyph = (font, symbol, options = {}) => {
+            // A symbol can be made of several glyphs (e.g. a letter and a combining mark), the index 0 is the .notdef glyph.
+            if (font.stringToGlyphs(symbol).some((glyph) => !glyph || !glyph.index))
+                return null;
+            
+            const glyph = _rasterize(font, symbol, options);
+            
+            return glyph ? glyph.canvas.toBuffer("image/png").toString("base64") : null;
+        };
+        
+        /**
+         * _renderMetrics Measure the rendered symbols of a font, used to render whole words from the glyphs (see WordRendering).
+         * The lengths are in pixels at the glyph size: the advance of each glyph and the position of the top left corner of its image
+         * from the pen on the baseline, the kerning of each pair of symbols (only the non-zero ones) and the ligatures the font substitutes
+         * ({image, advance, left, top}).
+         * @param {opentype.Font} font
+         * @param {Array} symbols The rendered symbols.
+         * @param {Object} [options = {}]
+         * @return {Object} {size, glyphs, kerning, ligatures}
+        */
+        
+        const _renderMetrics = (font, symbols, options = {}) => {
+            const {
+                // The font size used to render the glyphs [px].
+                glyphSize = 40
+            } = options;
+            const scale = glyphSize / font.unitsPerEm;
+            const metrics = {size: glyphSize, glyphs: {}, kerning: {}, ligatures: {}};
+            const shaped = {};
+            
+            for (const symbol of symbols)
+            {
+                const glyph = _rasterize(font, symbol, options);
+                
+                if (!glyph)
+                    continue;
+                
+                shaped[symbol] = font.stringToGlyphs(symbol);
+                metrics.glyphs[symbol] = {advance: _round(font.getAdvanceWidth(symbol, glyphSize)), left: _round(glyph.left), top: _round(glyph.top)};
+            }
+            
+            for (const first in shaped)
+                for (const second in shaped)
+                {
+                    const value = font.getKerningValue(shaped[first][shaped[first].length - 1], shaped[second][0]) * scale;
+                    
+                    if (Math.abs(value) >= 0.01)
+                        metrics.kerning[first + second] = _round(value);
+                }
+            
+            // A font that can not shape a text (e.g. an unsupported lookup) is measured without ligatures.
+            for (const ligature of _ligatures)
+            {
+                const glyphs = Charsets.graphemes(ligature).every((symbol) => shaped[symbol]) ? _glyphs(font, ligature) : null;
+                
+                if (!glyphs || glyphs.length != 1)
+                    continue;
+                
+                const glyph = _rasterize(font, ligature, options);
+                
+                if (glyph)
+                    metrics.ligatures[ligature] = {
+                        image: glyph.canvas.toBuffer("image/png").toString("base64"),
+                        advance: _round(font.getAdvanceWidth(ligature, glyphSize)),
+                        left: _round(glyph.left),
+                        top: _round(glyph.top)
+                    };
+            }
+            
+            return metrics;
+        };
+        
+        /**
+         * _scripts Get the scripts covered by the glyphs of the variants of a font (see Charsets).
+         * @param {Array} variants
+         * @return {Array}
+        */
+        
+        const _scripts = (variants) => Charsets.covered([].concat(...variants.map((variant) => Object.keys(variant.alpha))));
+        
+        /**
+         * _buildFont Render a font file as a variant of the data.json of its family inside the fonts directory of the storage.
+         * @param {String} file The path of the font file.
+         * @param {String} fontsDirectory The directory containing the fonts of the storage.
+         * @param {Object} [options = {}]
+         * @return {Promise} Resolved with the name of the font family.
+        */
+        
+        const _buildFont = (file, fontsDirectory, options = {}) => {
+            const {
+                // The character set to render (see Charsets).
+                charset = "latin"
+            } = options;
+            const {
+                // The name of the file containing the JSON data of a font.
+                fontsData = "data.json",
+                // The symbols to render, by default the ones of the character set.
+                symbols = Charsets.symbols(charset)
+            } = options;
+            
+            return new Promise((resolve, reject) => {
+                fs.readFile(file, (err, buffer) => {
+                    if (err)
+                        return reject(`Unable to open ${file}`);
+                    
+                    let font;
+                    
+                    try {
+                        font = opentype.parse(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+                    }
+                    catch (ex) {
+                        return reject(`Unable to parse ${file}: ${ex.message}`);
+                    }
+                    
+                    const meta = _meta(font);
+                    const variant = Object.assign(_style(font), {alpha: {}});
+                    
+                    if (!meta.name)
+                        return reject(`The name table of ${file} does not contain a font family`);
+                    
+                    for (const symbol of typeof symbols == "string" ? Charsets.graphemes(symbols) : symbols)
+                    {
+                        const glyph = _renderGlyph(font, symbol, options);
+                        
+                        if (glyph)
+                            variant.alpha[symbol] = glyph;
+                    }
+                    
+                    variant.metrics = _renderMetrics(font, Object.keys(variant.alpha), options);
+                    
+                    const directory = path.join(fontsDirectory, meta.name);
+                    const data = path.join(directory, fontsData);
+                    const content = fs.existsSync(data) ? JSON.parse(fs.readFileSync(data, "utf8")) : null;
+                    
+                    const variants = _variants(content, variant);
+                    
+                    fs.mkdirSync(directory, {recursive: true});
+                    fs.writeFileSync(data, JSON.stringify({
+                        meta: Object.assign({}, content ? content.meta : meta, {scripts: _scripts(variants)}),
+                        variants
+                    }, null, 4));
+                    resolve(meta.name);
+                });
+            });
+        };
+        
+        /**
+         * _buildIndex Regenerate the fonts index from the directories containing a font data file.
+         * The entries describe the fonts with the classification, license, foundry, tags and scripts of their meta (see FontIndex),
+         * the fields already in the index (e.g. edited tags) are kept. The version of the index is the hash of the data and features files (see FontIndex).
+         * @param {String} storage The storage directory.
+         * @param {Object} [options = {}]
+         * @return {Array} The names of the indexed fonts.
+        */
+        
+        const _buildIndex = (storage, options = {}) => {
+            const {
+                fontsData = "data.json",
+                fontsFeatures = "features.json"
+            } = options;
+            const fontsDirectory = path.join(storage, "fonts");
+            const file = path.join(storage, "index.json");
+            const previous = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")).index : [];
+            const index = fs.readdirSync(fontsDirectory)
+                .filter((name) => fs.existsSync(path.join(fontsDirectory, name, fontsData)))
+                .sort((a, b) => a.localeCompare(b));
+            const entries = index.map((name) => {
+                const content = JSON.parse(fs.readFileSync(path.join(fontsDirectory, name, fontsData), "utf8"));
+                const meta = content.meta;
+                const entry = previous.find((other) => other.name == name) || {};
+                
+                // The scripts follow the stored glyphs, they are not kept from the index.
+                return Object.assign({
+                    name,
+                    classification: meta.classification,
+                    license: FontIndex.license(meta.license),
+                    foundry: meta.foundry,
+                    tags: meta.tags || []
+                }, entry, {
+                    scripts: meta.scripts || _scripts(content.variants || [content])
+                });
+            });
+            
+            const files = [].concat(...index.map((font) => [fontsData, fontsFeatures].map((name) => path.join(fontsDirectory, font, name))));
+            const version = FontIndex.version(files.filter((file) => fs.existsSync(file)).map((file) => fs.readFileSync(file, "utf8")));
+            
+            fs.writeFileSync(file, JSON.stringify({version, index: entries}, null, 4));
+            
+            return index;
+        };
+        
+        /**
+         * _build Render every font file of a directory into the storage and regenerate the fonts index.
+         * @param {String} source The directory containing the font files.
+         * @param {String} [storage = "storage"] The storage directory.
+         * @param {Object} [options = {}]
+         * @return {Promise} Resolved with the fonts index.
+        */
+        
+        const _build = (source, storage = "storage", options = {}) => {
+            const files = fs.readdirSync(source)
+                .filter((file) => _extensions.indexOf(path.extname(file).toLowerCase()) != -1)
+                .map((file) => path.join(source, file));
+            const fontsDirectory = path.join(storage, "fonts");
+            
+            // One file at a time, the variants of a family are written to the same data file.
+            return new Promise((resolve, reject) => {
+                files.reduce((chain, file) => chain.then(() => _buildFont(file, fontsDirectory, options)), Promise.resolve())
+                    .then(() => resolve(_buildIndex(storage, options)))
+                    .catch(reject);
+            });
+        };
+        
+        // Return the public context.
+        return {
+            extensions: _extensions,
+            meta: (font) => _meta(font),
+            style: (font) => _style(font),
+            build: (source, storage, options) => _build(source, storage, options),
+            buildFont: (file, fontsDirectory, options) => _buildFont(file, fontsDirectory, options),
+            buildIndex: (storage, options) => _buildIndex(storage, options),
+            renderGlyph: (font, symbol, options) => _renderGlyph(font, symbol, options),
+            renderMetrics: (font, symbols, options) => _renderMetrics(font, symbols, options)
+        };
+    }
+
+());
+
+if (process.argv[1] && path.resolve(process.argv[1]) == path.resolve(new URL(import.meta.url).pathname))
+{
+    const [source, storage, charset] = process.argv.slice(2);
+    
+    if (!source) {
+        console.error("Usage: node tools/buildfonts.js <fonts-directory> [storage-directory] [charset]");
+        process.exit(1);
+    }
+    
+    BuildFonts.build(source, storage, {charset}).then((index) => console.log(`Indexed ${index.length} fonts`)).catch((err) => {
+        console.error(err);
+        process.exit(1);
+    });
+}
\ No newline at end of file
@@ -0,0 +1,114 @@
+/**
+ * @module Calibrate Used to fit the confidence model (see Confidence) on a labeled fixture set and to check the unknown font verdict.
+ * The labels file lists the fixtures: {"fixtures": [{"image", "ocr", "font", "source"}]}, font is null for the fonts missing from the database.
+ * Usage: node tools/calibrate.js [fixtures-directory] [unknown-threshold] [storage-directory]
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+import fs from "fs";
+import path from "path";
+import canvas from "canvas";
+import Jimp from "jimp";
+import {Platform} from "../src/platform/platform.js";
+import {NodePlatform} from "../src/platform/node.js";
+import {StubEngine} from "../src/recognition/engines/stub.js";
+import {Confidence} from "../src/comparison/confidence.js";
+import {Typefont} from "../src/index.js";
+
+export const Calibrate = (
+
+    function (undefined)
+    {
+        /**
+         * _evaluate Rank the fonts of every fixture, one at a time.
+         * @param {String} [directory = "fixtures/calibration"] The directory of the fixtures and of labels.json.
+         * @param {Object} [options = {}] The options of Typefont.
+         * @return {Promise} Resolved with the samples: {source, font, top, features, label}.
+        */
+        
+        const _evaluate = (directory = "fixtures/calibration", options = {}) => {
+            const fixtures = JSON.parse(fs.readFileSync(path.join(directory, "labels.json"), "utf8")).fixtures;
+            const samples = [];
+            
+            return fixtures.reduce((chain, fixture) => {
+                return chain.then(() => {
+                    const ocrEngine = StubEngine(path.join(directory, fixture.ocr));
+                    
+                    return Typefont(path.join(directory, fixture.image), Object.assign({}, options, {ocrEngine})).then((ranking) => {
+                        samples.push({
+                            source: fixture.source,
+                            font: fixture.font,
+                            top: ranking[0].name,
+                            features: Confidence.features(ranking[0], ranking[1]),
+                            label: ranking[0].name == fixture.font
+                        });
+                    });
+                });
+            }, Promise.resolve()).then(() => samples);
+        };
+        
+        /**
+         * _report Check the unknown font verdict of a model on the samples.
+         * @param {Array} samples
+         * @param {Object} model
+         * @param {Number} [threshold = 0.55] The unknown font threshold.
+         * @return {Object}
+        */
+        
+        const _report = (samples, model, threshold = 0.55) => {
+            const fixtures = samples.map((sample) => {
+                const confidence = Confidence.probability(sample.features, model);
+                
+                return Object.assign({}, sample, {confidence, unknown: confidence < threshold});
+            });
+            const known = fixtures.filter((sample) => sample.font);
+            
+            return {
+                model,
+                threshold,
+                // The share of the fonts of the database ranked first.
+                top1: known.filter((sample) => sample.label).length / (known.length || 1),
+                // The share of the right verdicts: a right first font is accepted, anything else is unknown.
+                accuracy: fixtures.filter((sample) => sample.unknown != sample.label).length / (fixtures.length || 1),
+                falseMatches: fixtures.filter((sample) => !sample.label && !sample.unknown).map((sample) => sample.source),
+                missedMatches: fixtures.filter((sample) => sample.label && sample.unknown).map((sample) => sample.source),
+                fixtures
+            };
+        };
+        
+        /**
+         * _calibrate Fit the model on the fixtures and report its verdicts.
+         * @param {String} [directory]
+         * @param {Number} [threshold]
+         * @param {Object} [options = {}]
+         * @return {Promise}
+        */
+        
+        const _calibrate = (directory, threshold, options = {}) => {
+            return _evaluate(directory, options).then((samples) => _report(samples, Confidence.fit(samples), threshold));
+        };
+        
+        // Return the public context.
+        return {
+            evaluate: (directory, options) => _evaluate(directory, options),
+            report: (samples, model, threshold) => _report(samples, model, threshold),
+            calibrate: (directory, threshold, options) => _calibrate(directory, threshold, options)
+        };
+    }
+
+());
+
+if (process.argv[1] && path.resolve(process.argv[1]) == path.resolve(new URL(import.meta.url).pathname))
+{
+    const [directory = "fixtures/calibration", threshold = "0.55", storage = "storage"] = process.argv.slice(2);
+    const options = {
+        fontsIndex: path.resolve(storage, "index.json"),
+        fontsDirectory: `${path.resolve(storage, "fonts")}/`
+    };
+    
+    Platform.use(NodePlatform({canvas, Jimp, root: "/"}));
+    Calibrate.calibrate(path.resolve(directory), Number(threshold), options).then((res) => console.log(JSON.stringify(res, null, 4))).catch((err) => {
+        console.error(err);
+        process.exit(1);
+    });
+}
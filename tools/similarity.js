@@ -0,0 +1,85 @@
+/**
+ * @module Similarity Used to list the fonts of the database most similar to a font or to export the pairwise similarity matrix of the database.
+ * Usage: node tools/similarity.js [storage-directory] [--font=name] [--csv] [--filter={"license": "OFL"}]
+ * Without a font the matrix is printed, as JSON or as CSV with the names of the fonts as header.
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+import path from "path";
+import canvas from "canvas";
+import Jimp from "jimp";
+import {Platform} from "../src/platform/platform.js";
+import {NodePlatform} from "../src/platform/node.js";
+import {Typefont} from "../src/index.js";
+
+export const Similarity = (
+
+    function (undefined)
+    {
+        /**
+         * _quote Quote a CSV field.
+         * @param {String|Number} value
+         * @return {String}
+        */
+        
+        const _quote = (value) => typeof value == "number" ? value.toFixed(2) : `"${String(value).replace(/"/g, "\"\"")}"`;
+        
+        /**
+         * _csv Format a similarity matrix as CSV, a row for each font.
+         * @param {Object} matrix {fonts, similarity} (see Typefont.matrix).
+         * @return {String}
+        */
+        
+        const _csv = (matrix) => {
+            const header = [""].concat(matrix.fonts).map(_quote).join(",");
+            
+            return [header].concat(matrix.fonts.map((name, i) => [name].concat(matrix.similarity[i]).map(_quote).join(","))).join("\n");
+        };
+        
+        /**
+         * _format Describe the similar fonts as text, a line for each font.
+         * @param {Array} fonts The similar fonts (see Typefont.similar).
+         * @return {String}
+        */
+        
+        const _format = (fonts) => {
+            const style = (variant) => `${variant.weight} ${variant.style} ${variant.stretch}`;
+            
+            return fonts.map((font, i) => {
+                return `${i + 1}. ${font.name} ${style(font.variant)} ${font.similarity.toFixed(2)}% (coverage ${(font.coverage * 100).toFixed(0)}%, like ${style(font.reference)})`;
+            }).concat(fonts.failures.map((failure) => `not compared ${failure.name}: ${failure.error}`)).join("\n");
+        };
+        
+        // Return the public context.
+        return {
+            csv: (matrix) => _csv(matrix),
+            format: (fonts) => _format(fonts)
+        };
+    }
+
+());
+
+if (process.argv[1] && path.resolve(process.argv[1]) == path.resolve(new URL(import.meta.url).pathname))
+{
+    const args = process.argv.slice(2);
+    const storage = args.find((arg) => arg.indexOf("--")) || "storage";
+    const value = (name) => {
+        const arg = args.find((arg) => arg.indexOf(`--${name}=`) == 0);
+        
+        return arg && arg.substr(name.length + 3);
+    };
+    const font = value("font");
+    const options = {
+        fontsIndex: path.resolve(storage, "index.json"),
+        fontsDirectory: `${path.resolve(storage, "fonts")}/`,
+        fontFilter: value("filter") ? JSON.parse(value("filter")) : undefined
+    };
+    
+    Platform.use(NodePlatform({canvas, Jimp, root: "/"}));
+    (font ? Typefont.similar(font, options).then(Similarity.format) : Typefont.matrix(options).then((matrix) => {
+        return args.indexOf("--csv") != -1 ? Similarity.csv(matrix) : JSON.stringify(matrix, null, 4);
+    })).then((res) => console.log(res)).catch((err) => {
+        console.error(err);
+        process.exit(1);
+    });
+}
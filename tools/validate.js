@@ -0,0 +1,444 @@
+/**
+ * @module ValidateFonts Used to check a fonts database before publishing it: the index, the schema of every font data file,
+ * the glyph images and metrics, the coverage of the OCR whitelist, the features files and the duplicate or near-identical fonts.
+ * Usage: node tools/validate.js [storage-directory] [--json] [--skip-similar]
+ * The exit code is 1 when an error is found, the warnings do not fail the validation.
+ * @author Vasile Pește <sirvasile@protonmail.ch>
+*/
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import canvas from "canvas";
+import Jimp from "jimp";
+import {Platform} from "../src/platform/platform.js";
+import {NodePlatform} from "../src/platform/node.js";
+import {FontIndex} from "../src/font/fontindex.js";
+import {GlyphFeatures} from "../src/comparison/features.js";
+import {OpticalRecognition} from "../src/recognition/opticalrecognition.js";
+import {Charsets} from "../src/recognition/charsets.js";
+
+export const ValidateFonts = (
+
+    function (undefined)
+    {
+        // The CSS font-style values.
+        const _styles = ["normal", "italic", "oblique"];
+        
+        // The CSS font-stretch values.
+        const _stretches = [
+            "ultra-condensed",
+            "extra-condensed",
+            "condensed",
+            "semi-condensed",
+            "normal",
+            "semi-expanded",
+            "expanded",
+            "extra-expanded",
+            "ultra-expanded"
+        ];
+        
+        // The signature of the PNG files.
+        const _signature = "89504e470d0a1a0a";
+        
+        /**
+         * _issue Record an issue.
+         * @param {Array} issues
+         * @param {String} severity "error" or "warning".
+         * @param {String} code
+         * @param {String} message
+         * @param {Object} [details = {}] Where the issue is: font, variant, symbol.
+        */
+        
+        const _issue = (issues, severity, code, message, details = {}) => {
+            issues.push(Object.assign({severity, code}, details, {message}));
+        };
+        
+        /**
+         * _readJSON Read a JSON file.
+         * @param {String} file
+         * @return {Object} {content} or {error}.
+        */
+        
+        const _readJSON = (file) => {
+            try {
+                return {content: JSON.parse(fs.readFileSync(file, "utf8"))};
+            }
+            catch (ex) {
+                return {error: ex.code == "ENOENT" ? "missing" : ex.message};
+            }
+        };
+        
+        /**
+         * _isPNG Check the structure of a base64 PNG: the signature and a header with a size.
+         * @param {String} base64
+         * @return {Boolean}
+        */
+        
+        const _isPNG = (base64) => {
+            const bytes = typeof base64 == "string" ? Buffer.from(base64, "base64") : Buffer.alloc(0);
+            
+            return bytes.length > 24 && bytes.toString("hex", 0, 8) == _signature && bytes.toString("ascii", 12, 16) == "IHDR" &&
+                bytes.readUInt32BE(16) > 0 && bytes.readUInt32BE(20) > 0;
+        };
+        
+        /**
+         * _variantName Describe the style of a variant, e.g. "700 italic normal".
+         * @param {Object} variant
+         * @return {String}
+        */
+        
+        const _variantName = (variant) => `${variant.weight} ${variant.style} ${variant.stretch}`;
+        
+        /**
+         * _checkIndex Check the index of the fonts against the directories of the storage.
+         * @param {String} storage
+         * @param {Array} issues
+         * @param {Object} [options = {}]
+         * @return {Array} The names of the fonts to check.
+        */
+        
+        const _checkIndex = (storage, issues, options = {}) => {
+            const {
+                fontsData = "data.json"
+            } = options;
+            const file = path.join(storage, "index.json");
+            const res = _readJSON(file);
+            const fontsDirectory = path.join(storage, "fonts");
+            const directories = fs.existsSync(fontsDirectory) ? fs.readdirSync(fontsDirectory).filter((name) => fs.existsSync(path.join(fontsDirectory, name, fontsData))) : [];
+            const names = [];
+            
+            if (res.error) {
+                _issue(issues, "error", "index-unreadable", `Unable to read ${file}: ${res.error}`);
+                return [];
+            }
+            
+            if (!res.content || !Array.isArray(res.content.index)) {
+                _issue(issues, "error", "index-format", `${file} has no index array`);
+                return [];
+            }
+            
+            res.content.index.forEach((entry, i) => {
+                if (typeof entry != "string" && !(entry && typeof entry.name == "string"))
+                    return _issue(issues, "error", "index-format", `The entry ${i} has no name`);
+                
+                entry = FontIndex.entry(entry);
+                
+                if (names.indexOf(entry.name) != -1)
+                    return _issue(issues, "error", "index-duplicate", `${entry.name} is listed more than once`, {font: entry.name});
+                
+                names.push(entry.name);
+                
+                if (entry.classification !== undefined && FontIndex.classifications.indexOf(entry.classification) == -1)
+                    _issue(issues, "error", "index-entry", `Unknown classification ${entry.classification}`, {font: entry.name});
+                
+                if (!Array.isArray(entry.tags) || entry.tags.some((tag) => typeof tag != "string"))
+                    _issue(issues, "error", "index-entry", "The tags are not a list of strings", {font: entry.name});
+                
+                if (entry.scripts !== undefined && (!Array.isArray(entry.scripts) || entry.scripts.some((script) => typeof script != "string")))
+                    _issue(issues, "error", "index-entry", "The scripts are not a list of strings", {font: entry.name});
+                
+                if (directories.indexOf(entry.name) == -1)
+                    _issue(issues, "error", "font-missing", `${path.join(fontsDirectory, entry.name, fontsData)} does not exist`, {font: entry.name});
+            });
+            
+            for (const name of directories)
+                if (names.indexOf(name) == -1)
+                    _issue(issues, "warning", "font-unindexed", `${name} is stored but not listed in the index`, {font: name});
+            
+            return names.filter((name) => directories.indexOf(name) != -1);
+        };
+        
+        /**
+         * _checkFeatures Check that the features file of a font matches its glyphs.
+         * @param {String} directory The directory of the font.
+         * @param {String} name
+         * @param {Array} variants
+         * @param {Array} issues
+         * @param {Object} [options = {}]
+        */
+        
+        const _checkFeatures = (directory, name, variants, issues, options = {}) => {
+            const {
+                fontsFeatures = "features.json"
+            } = options;
+            const res = _readJSON(path.join(directory, fontsFeatures));
+            const stale = (message) => _issue(issues, "warning", "features-stale", `${message}, rebuild it with tools/buildfeatures.js`, {font: name});
+            
+            if (res.error == "missing")
+                return;
+            
+            if (res.error)
+                return stale(`The features file is unreadable (${res.error})`);
+            
+            const features = Array.isArray(res.content.variants) ? res.content.variants : [res.content];
+            
+            if (features.length != variants.length)
+                return stale(`The features file has ${features.length} variants instead of ${variants.length}`);
+            
+            features.forEach((content, i) => {
+                if (!content || content.version != GlyphFeatures.version)
+                    return stale(`The features of the variant ${_variantName(variants[i])} are not of version ${GlyphFeatures.version}`);
+                
+                if (Object.keys(content.glyphs || {}).sort().join("") != Object.keys(variants[i].alpha).sort().join(""))
+                    stale(`The features of the variant ${_variantName(variants[i])} do not match its glyphs`);
+            });
+        };
+        
+        /**
+         * _checkFont Check the data file of a font: the schema, the glyph images and the coverage of the whitelist.
+         * @param {String} storage
+         * @param {String} name
+         * @param {Array} issues
+         * @param {Object} [options = {}]
+         * @return {Promise} Resolved with the checked variants: {font, variant, digest, bitmaps}.
+        */
+        
+        const _checkFont = (storage, name, issues, options = {}) => {
+            const {
+                fontsData = "data.json",
+                // The symbols every font should cover.
+                symbols = OpticalRecognition.whitelist,
+                // Compute the bitmaps of the glyphs, used to find the near-identical fonts?
+                similarFonts = true
+            } = options;
+            const directory = path.join(storage, "fonts", name);
+            const res = _readJSON(path.join(directory, fontsData));
+            const content = res.content;
+            const error = (code, message, details) => _issue(issues, "error", code, message, Object.assign({font: name}, details));
+            
+            if (res.error) {
+                error("font-unreadable", `Unable to read the data file: ${res.error}`);
+                return Promise.resolve([]);
+            }
+            
+            if (!content || !content.meta || typeof content.meta.name != "string") {
+                error("font-format", "The meta object has no name");
+                return Promise.resolve([]);
+            }
+            
+            if (content.meta.name != name)
+                _issue(issues, "warning", "font-name", `The meta name ${content.meta.name} differs from the directory name`, {font: name});
+            
+            const variants = content.variants || (content.alpha ? [{
+                weight: content.meta.weight || 400,
+                style: content.meta.style || "normal",
+                stretch: content.meta.stretch || "normal",
+                alpha: content.alpha
+            }] : null);
+            
+            if (!Array.isArray(variants) || !variants.length) {
+                error("font-format", "The font has neither variants nor alpha");
+                return Promise.resolve([]);
+            }
+            
+            const seen = [];
+            const valid = variants.map((source) => Object.assign({weight: 400, style: "normal", stretch: "normal"}, source)).filter((variant, i) => {
+                const label = _variantName(variant);
+                
+                if (!variant.alpha || typeof variant.alpha != "object" || !Object.keys(variant.alpha).length) {
+                    error("font-format", `The variant ${i} has no glyphs`);
+                    return false;
+                }
+                
+                if (!Number.isInteger(variant.weight) || variant.weight < 1 || variant.weight > 1000)
+                    error("variant-style", `Invalid weight ${variant.weight}`, {variant: label});
+                
+                if (_styles.indexOf(variant.style) == -1)
+                    error("variant-style", `Invalid style ${variant.style}`, {variant: label});
+                
+                if (_stretches.indexOf(variant.stretch) == -1)
+                    error("variant-style", `Invalid stretch ${variant.stretch}`, {variant: label});
+                
+                if (seen.indexOf(label) != -1)
+                    error("variant-duplicate", "The style is used by more than one variant", {variant: label});
+                
+                // The symbols are keyed by a single grapheme in NFC form, as the recognized ones.
+                for (const symbol in variant.alpha)
+                    if (Charsets.graphemes(symbol).length != 1 || Charsets.key(symbol) != symbol)
+                        error("glyph-key", "The symbol is not a single grapheme in NFC form", {variant: label, symbol});
+                
+                const missing = Charsets.graphemes(symbols).filter((symbol) => !variant.alpha[symbol]);
+                
+                if (missing.length)
+                    _issue(issues, "warning", "glyph-coverage", `${missing.length} symbols of the whitelist are missing: ${missing.join("")}`, {font: name, variant: label, missing});
+                
+                // The glyph metrics are optional, the words are not rendered in the variants without them (see WordRendering).
+                if (variant.metrics !== undefined) {
+                    const metrics = variant.metrics || {};
+                    const unmeasured = metrics.glyphs && typeof metrics.glyphs == "object" ? Object.keys(variant.alpha).filter((symbol) => !metrics.glyphs[symbol]) : [];
+                    
+                    if (typeof metrics.size != "number" || metrics.size <= 0 || !metrics.glyphs || typeof metrics.glyphs != "object")
+                        error("glyph-metrics", "The glyph metrics have no size or no glyphs", {variant: label});
+                    else if (unmeasured.length)
+                        _issue(issues, "warning", "glyph-metrics", `${unmeasured.length} glyphs have no metrics: ${unmeasured.join("")}`, {font: name, variant: label, unmeasured});
+                }
+                
+                seen.push(label);
+                
+                return true;
+            });
+            
+            _checkFeatures(directory, name, valid, issues, options);
+            
+            return valid.reduce((chain, variant) => chain.then((checked) => {
+                const label = _variantName(variant);
+                const bitmaps = {};
+                const glyphs = Object.keys(variant.alpha).filter((symbol) => {
+                    if (_isPNG(variant.alpha[symbol]))
+                        return true;
+                    
+                    error("glyph-invalid", "The glyph is not a base64 PNG image", {variant: label, symbol});
+                    
+                    return false;
+                });
+                
+                // The glyphs are decoded one at a time, the decoding fails on the corrupted images.
+                return glyphs.reduce((next, symbol) => next.then(() => {
+                    return GlyphFeatures.bitmap(`data:image/png;base64,${variant.alpha[symbol]}`, 32).then((bitmap) => {
+                        if (similarFonts)
+                            bitmaps[symbol] = bitmap;
+                    }).catch(() => error("glyph-invalid", "The glyph image can not be decoded", {variant: label, symbol}));
+                }), Promise.resolve()).then(() => checked.concat([{
+                    font: name,
+                    variant: label,
+                    digest: crypto.createHash("sha1").update(JSON.stringify(variant.alpha)).digest("hex"),
+                    bitmaps
+                }]));
+            }), Promise.resolve([]));
+        };
+        
+        /**
+         * _overlap Get the mean ink overlap (intersection over union) of the common glyphs of two variants.
+         * @param {Object} first The bitmaps of the glyphs of the first variant (1 for white).
+         * @param {Object} second
+         * @param {Number} minSymbols Below this number of common glyphs the overlap is not computed.
+         * @return {Number} [0, 1], -1 if not computed.
+        */
+        
+        const _overlap = (first, second, minSymbols) => {
+            const symbols = Object.keys(first).filter((symbol) => second[symbol]);
+            let sum = 0;
+            
+            if (symbols.length < minSymbols)
+                return -1;
+            
+            for (const symbol of symbols)
+            {
+                const a = first[symbol];
+                const b = second[symbol];
+                let intersection = 0;
+                let union = 0;
+                
+                for (let i = 0, ll = a.length; i < ll; ++i)
+                {
+                    intersection += !a[i] && !b[i];
+                    union += !a[i] || !b[i];
+                }
+                
+                sum += union ? intersection / union : 1;
+            }
+            
+            return sum / symbols.length;
+        };
+        
+        /**
+         * _checkSimilar Report the identical variants and the near-identical variants of different fonts.
+         * @param {Array} variants The checked variants.
+         * @param {Array} issues
+         * @param {Object} [options = {}]
+        */
+        
+        const _checkSimilar = (variants, issues, options = {}) => {
+            const {
+                // The mean ink overlap of the glyphs above which two fonts are reported as near-identical.
+                similarityThreshold = 0.9,
+                // The minimum number of common glyphs of two compared fonts.
+                similarityMinSymbols = 10,
+                similarFonts = true
+            } = options;
+            
+            for (let i = 0; i < variants.length; ++i)
+            {
+                for (let j = i + 1; j < variants.length; ++j)
+                {
+                    const first = variants[i];
+                    const second = variants[j];
+                    const details = {font: first.font, variant: first.variant, other: {font: second.font, variant: second.variant}};
+                    let overlap;
+                    
+                    if (first.digest == second.digest)
+                        _issue(issues, "warning", "font-duplicate", `The glyphs are identical to the ones of ${second.font} ${second.variant}`, details);
+                    else if (similarFonts && first.font != second.font && (overlap = _overlap(first.bitmaps, second.bitmaps, similarityMinSymbols)) >= similarityThreshold)
+                        _issue(issues, "warning", "font-similar", `The glyphs are near-identical to the ones of ${second.font} ${second.variant} (overlap ${overlap.toFixed(3)})`, details);
+                }
+            }
+        };
+        
+        /**
+         * _validate Check a fonts database.
+         * @param {String} [storage = "storage"] The storage directory.
+         * @param {Object} [options = {}]
+         * @return {Promise} Resolved with the report: {valid, errors, warnings, fonts, issues}.
+        */
+        
+        const _validate = (storage = "storage", options = {}) => {
+            const issues = [];
+            const names = _checkIndex(storage, issues, options);
+            
+            return names.reduce((chain, name) => {
+                return chain.then((variants) => _checkFont(storage, name, issues, options).then((checked) => variants.concat(checked)));
+            }, Promise.resolve([])).then((variants) => {
+                _checkSimilar(variants, issues, options);
+                
+                const errors = issues.filter((issue) => issue.severity == "error").length;
+                
+                return {
+                    valid: !errors,
+                    errors,
+                    warnings: issues.length - errors,
+                    fonts: names.length,
+                    issues
+                };
+            });
+        };
+        
+        /**
+         * _format Render a report as text, one issue per line.
+         * @param {Object} report
+         * @return {String}
+        */
+        
+        const _format = (report) => {
+            const lines = report.issues.map((issue) => {
+                const where = [issue.font, issue.variant, issue.symbol === undefined ? undefined : `"${issue.symbol}"`].filter((value) => value !== undefined).join(" ");
+                
+                return `${issue.severity} ${issue.code}${where ? ` ${where}` : ""}: ${issue.message}`;
+            });
+            
+            return lines.concat([`${report.fonts} fonts, ${report.errors} errors, ${report.warnings} warnings`]).join("\n");
+        };
+        
+        // Return the public context.
+        return {
+            validate: (storage, options) => _validate(storage, options),
+            format: (report) => _format(report)
+        };
+    }
+
+());
+
+if (process.argv[1] && path.resolve(process.argv[1]) == path.resolve(new URL(import.meta.url).pathname))
+{
+    const args = process.argv.slice(2);
+    const storage = args.find((arg) => arg.indexOf("--")) || "storage";
+    
+    Platform.use(NodePlatform({canvas, Jimp, root: "/"}));
+    ValidateFonts.validate(path.resolve(storage), {similarFonts: args.indexOf("--skip-similar") == -1}).then((report) => {
+        console.log(args.indexOf("--json") != -1 ? JSON.stringify(report, null, 4) : ValidateFonts.format(report));
+        process.exit(report.valid ? 0 : 1);
+    }).catch((err) => {
+        console.error(err);
+        process.exit(1);
+    });
+}